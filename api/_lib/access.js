@@ -0,0 +1,109 @@
+// Shared authorization for pages and API routes.
+//
+// Every route that spends an upstream quota calls requireAccess, and pages
+// ask /api/access (through Olly.protectPage) before they load, so both sides
+// apply the same rules:
+//   - a session counts only once its browser has passed OllyPass
+//   - suspended or revoked accounts get nothing
+//   - trial accounts past their trial end are sent to the upgrade page
+//   - each role's tier decides which features (pages) are available
+
+import { sendError } from './http.js';
+import { requireUser } from './auth.js';
+import { isAdmin, getUserStatus, getTrialEnds } from './admin.js';
+import { isDeviceTrustConfigured, getTrustedDevice } from './devices.js';
+
+// Role -> features. A feature is a page plus the API calls only it makes.
+export const TIERS = {
+  admin: ['stream', 'insider', 'auditor', 'cortex', 'locker', 'daily', 'admin'],
+  analyst: ['stream', 'insider', 'auditor', 'cortex', 'locker', 'daily'],
+  trial: ['stream', 'insider', 'auditor', 'daily'],
+  suspended: []
+};
+
+export const UPGRADE_PAGE = '/upgrade.html';
+export const SIGN_IN_PAGE = '/login.html';
+
+// A suspended or revoked account is 'suspended' whatever else it is, admins
+// included
+export function getRole(user) {
+  const status = getUserStatus(user);
+  if (status === 'suspended' || status === 'revoked') return 'suspended';
+  if (isAdmin(user)) return 'admin';
+  const role = user.app_metadata?.role;
+  return Object.prototype.hasOwnProperty.call(TIERS, role) ? role : 'trial';
+}
+
+// What the caller may do right now, and why not when they can't
+export function resolveAccess(user, now = Date.now()) {
+  const role = getRole(user);
+  const status = role === 'admin' ? 'active' : getUserStatus(user, now);
+  const blocked = role === 'suspended' || status === 'trial-expired';
+  return {
+    email: user.email,
+    role,
+    status,
+    trialEnds: role === 'trial' ? getTrialEnds(user) : null,
+    features: blocked ? [] : TIERS[role]
+  };
+}
+
+// Sends the 403 that explains a refusal; pages turn the code into an
+// upgrade page redirect
+function sendDenied(response, access, features) {
+  if (access.role === 'suspended') {
+    return sendError(response, 403, 'ACCOUNT_SUSPENDED', 'This account is suspended.', {
+      status: access.status, upgradeUrl: `${UPGRADE_PAGE}?reason=suspended`
+    });
+  }
+  if (access.status === 'trial-expired') {
+    return sendError(response, 403, 'TRIAL_EXPIRED', 'Your OllyTracker trial has ended.', {
+      trialEnds: access.trialEnds, upgradeUrl: `${UPGRADE_PAGE}?reason=trial-expired`
+    });
+  }
+  return sendError(response, 403, 'UPGRADE_REQUIRED', `Your ${access.role} plan does not include ${features.join(' or ')}.`, {
+    role: access.role, features, upgradeUrl: `${UPGRADE_PAGE}?reason=tier&feature=${encodeURIComponent(features[0])}`
+  });
+}
+
+// Resolves the signed-in user once this browser has passed OllyPass, which
+// the server records as a trusted device (see devices.js). A password-only
+// session gets a 403 that sends the page back to sign-in for the code.
+export async function requireVerifiedUser(request, response) {
+  const user = await requireUser(request, response);
+  if (!user) return null;
+
+  if (!isDeviceTrustConfigured()) {
+    sendError(response, 500, 'OLLYPASS_NOT_CONFIGURED', 'OllyPass device trust is not configured on the server.');
+    return null;
+  }
+  try {
+    if (await getTrustedDevice(request, user)) return user;
+  } catch (error) {
+    sendError(response, 500, 'AUTH_UNAVAILABLE', error.message);
+    return null;
+  }
+  sendError(response, 403, 'OLLYPASS_REQUIRED', 'Complete OllyPass sign-in to continue.', {
+    loginUrl: SIGN_IN_PAGE
+  });
+  return null;
+}
+
+// Resolves the verified user when their account is in good standing and
+// their tier includes one of `features` (any feature if omitted). Otherwise
+// sends a 401/403 and returns null.
+export async function requireAccess(request, response, features = []) {
+  const user = await requireVerifiedUser(request, response);
+  if (!user) return null;
+
+  const wanted = Array.isArray(features) ? features : [features];
+  const access = resolveAccess(user);
+  const allowed = access.features.length > 0
+    && (wanted.length === 0 || wanted.some((feature) => access.features.includes(feature)));
+
+  if (!allowed) {
+    sendDenied(response, access, wanted);
+    return null;
+  }
+  return { ...user, access };
+}
@@ -0,0 +1,161 @@
+// Privileged Supabase access for the /api/admin routes.
+// Uses the service-role key, which must never reach the browser, so every
+// admin route first resolves the caller with requireAdmin.
+//
+// Roles live in app_metadata (only the service role can write it):
+//   app_metadata.role        'admin' | 'analyst' | 'trial' | 'suspended'
+//   app_metadata.status      'revoked' once access is withdrawn for good
+//   app_metadata.trial_ends  ISO date; without it a trial runs TRIAL_DAYS
+//                            from sign-up (user_metadata is user-editable,
+//                            so it is never trusted for this)
+//   app_metadata.organization  the team a user shares watchlists with
+// ADMIN_EMAILS (comma-separated) bootstraps the first admins.
+// What each role may use is decided in access.js.
+
+import { sendError } from './http.js';
+import { requireVerifiedUser } from './access.js';
+
+export const ROLES = ['admin', 'analyst', 'trial', 'suspended'];
+export const TRIAL_DAYS = 45;
+
+export class AdminApiError extends Error {
+  constructor(status, code, message, upstreamStatus) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+function serviceConfig() {
+  const url = process.env.SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !serviceKey) {
+    throw new AdminApiError(500, 'NOT_CONFIGURED', 'Supabase service role is not configured on the server.');
+  }
+  return { url, serviceKey };
+}
+
+// Calls the GoTrue admin API (or PostgREST with a /rest path) as the service role
+export async function supabaseAdminFetch(path, options = {}) {
+  const { url, serviceKey } = serviceConfig();
+  const apiResponse = await fetch(`${url}${path}`, {
+    ...options,
+    headers: {
+      apikey: serviceKey,
+      Authorization: `Bearer ${serviceKey}`,
+      'Content-Type': 'application/json',
+      ...(options.headers || {})
+    }
+  });
+
+  if (!apiResponse.ok) {
+    const text = await apiResponse.text();
+    let message = text;
+    try {
+      const parsed = JSON.parse(text);
+      message = parsed.msg || parsed.message || parsed.error_description || parsed.error || text;
+    } catch (err) {
+      // plain-text error body
+    }
+    const status = apiResponse.status === 404 ? 404 : 502;
+    throw new AdminApiError(
+      status,
+      status === 404 ? 'NOT_FOUND' : 'UPSTREAM_ERROR',
+      `Supabase admin request failed: ${message}`,
+      apiResponse.status
+    );
+  }
+
+  return apiResponse.status === 204 ? null : apiResponse.json();
+}
+
+export function isAdmin(user) {
+  if (user?.app_metadata?.role === 'admin') return true;
+  const bootstrap = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+  return Boolean(user?.email) && bootstrap.includes(user.email.toLowerCase());
+}
+
+// Resolves the signed-in admin (past OllyPass, see access.js) or sends a
+// 401/403 and returns null. A suspended or revoked admin is refused.
+export async function requireAdmin(request, response) {
+  const user = await requireVerifiedUser(request, response);
+  if (!user) return null;
+  if (!isAdmin(user) || ['suspended', 'revoked'].includes(getUserStatus(user))) {
+    sendError(response, 403, 'FORBIDDEN', 'Administrator access is required.');
+    return null;
+  }
+  return user;
+}
+
+export function sendAdminError(response, error) {
+  if (error instanceof AdminApiError) {
+    return sendError(response, error.status, error.code, error.message);
+  }
+  return sendError(response, 500, 'INTERNAL_ERROR', `An internal server error occurred: ${error.message}`);
+}
+
+export function getUserStatus(user, now = Date.now()) {
+  const app = user.app_metadata || {};
+  if (app.status === 'revoked') return 'revoked';
+  if (app.role === 'suspended') return 'suspended';
+  if (user.banned_until && Date.parse(user.banned_until) > now) return 'suspended';
+  const trialEnds = getTrialEnds(user);
+  if ((app.role || 'trial') === 'trial' && trialEnds && Date.parse(trialEnds) < now) return 'trial-expired';
+  if (!user.email_confirmed_at && !user.confirmed_at) return 'unconfirmed';
+  return 'active';
+}
+
+export function getTrialEnds(user) {
+  if (user.app_metadata?.trial_ends) return user.app_metadata.trial_ends;
+  const created = Date.parse(user.created_at || '');
+  return created ? new Date(created + TRIAL_DAYS * 24 * 60 * 60 * 1000).toISOString() : null;
+}
+
+// The shape the admin console works with
+export function summarizeUser(user) {
+  const meta = user.user_metadata || {};
+  const app = user.app_metadata || {};
+  return {
+    id: user.id,
+    email: user.email,
+    fullName: meta.fullname || meta.full_name || '',
+    organization: meta.organization || meta.org || '',
+    team: app.organization || '',
+    role: app.role || 'trial',
+    status: getUserStatus(user),
+    bannedUntil: user.banned_until || null,
+    // app_metadata only: user_metadata is editable by the user themselves
+    mfaEnabled: app.mfa_enabled === true,
+    trialEnds: getTrialEnds(user),
+    createdAt: user.created_at,
+    lastSignInAt: user.last_sign_in_at || null
+  };
+}
+
+// Every auth user, following GoTrue's pages
+export async function listAllUsers() {
+  const perPage = 1000;
+  let users = [];
+  for (let page = 1; ; page++) {
+    const data = await supabaseAdminFetch(`/auth/v1/admin/users?page=${page}&per_page=${perPage}`);
+    const batch = data.users || [];
+    users = users.concat(batch);
+    if (batch.length < perPage) break;
+  }
+  return users;
+}
+
+export function getAuthUser(id) {
+  return supabaseAdminFetch(`/auth/v1/admin/users/${encodeURIComponent(id)}`);
+}
+
+export function updateAuthUser(id, attributes) {
+  return supabaseAdminFetch(`/auth/v1/admin/users/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    body: JSON.stringify(attributes)
+  });
+}
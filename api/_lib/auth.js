@@ -0,0 +1,50 @@
+// Supabase JWT verification for the serverless routes in /api.
+// The browser sends its session access token as "Authorization: Bearer <jwt>";
+// we ask Supabase to resolve it so revoked or expired sessions are rejected.
+
+import { sendError } from './http.js';
+
+function getBearerToken(request) {
+  const header = request.headers.authorization || request.headers.Authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+
+  // EventSource cannot set headers, so streaming routes accept the token as a query param
+  return request.query?.access_token || null;
+}
+
+export async function getUserFromRequest(request) {
+  const token = getBearerToken(request);
+  if (!token) return null;
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const anonKey = process.env.SUPABASE_ANON_KEY;
+  if (!supabaseUrl || !anonKey) {
+    throw new Error('Supabase is not configured on the server.');
+  }
+
+  const resp = await fetch(`${supabaseUrl}/auth/v1/user`, {
+    headers: {
+      apikey: anonKey,
+      Authorization: `Bearer ${token}`
+    }
+  });
+
+  if (!resp.ok) return null;
+  const user = await resp.json();
+  return user?.id ? { ...user, accessToken: token } : null;
+}
+
+// Resolves the signed-in user or sends a 401 and returns null.
+export async function requireUser(request, response) {
+  try {
+    const user = await getUserFromRequest(request);
+    if (!user) {
+      sendError(response, 401, 'UNAUTHENTICATED', 'A valid session is required.');
+      return null;
+    }
+    return user;
+  } catch (error) {
+    sendError(response, 500, 'AUTH_UNAVAILABLE', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,224 @@
+// Trusted devices for OllyPass.
+//
+// After a successful OllyPass check the server issues an HttpOnly cookie that
+// names a row in `ollypass_devices` and is signed with OLLYPASS_DEVICE_SECRET,
+// so the browser can't forge or extend its own trust. Like ollypass_factors,
+// the table has row level security on and no policies (supabase/ollypass.sql):
+//
+//   id            uuid primary key
+//   user_id       uuid references auth.users on delete cascade
+//   user_agent    text
+//   created_at    timestamptz
+//   trusted_at    timestamptz   last successful OllyPass check on this device
+//   last_seen_at  timestamptz
+//   revoked_at    timestamptz
+//
+// Trust lasts 24 hours, except that a device trusted Friday through Sunday
+// stays trusted until 08:00 Monday (OLLYPASS_TIMEZONE, default New York).
+// The trusted device is also the server's record that this browser finished
+// OllyPass, so requireVerifiedUser (access.js) refuses every session without
+// one. OLLYPASS_DEVICE_SECRET is therefore required; without it nobody gets
+// past sign-in.
+
+import crypto from 'crypto';
+import { supabaseAdminFetch } from './admin.js';
+
+const TABLE = '/rest/v1/ollypass_devices';
+const COOKIE_NAME = 'ollypass_device';
+const COOKIE_MAX_AGE = 7 * 24 * 60 * 60; // the row's trust window is what counts
+const TRUST_MS = 24 * 60 * 60 * 1000;
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000; // every API call checks the device
+const CARRYOVER_HOUR = 8;
+
+function deviceSecret() {
+  return process.env.OLLYPASS_DEVICE_SECRET || null;
+}
+
+export function isDeviceTrustConfigured() {
+  return Boolean(deviceSecret());
+}
+
+function timeZone() {
+  return process.env.OLLYPASS_TIMEZONE || 'America/New_York';
+}
+
+function sign(deviceId, userId) {
+  return crypto.createHmac('sha256', deviceSecret()).update(`${deviceId}:${userId}`).digest('base64url');
+}
+
+// Wall-clock parts of an instant in the policy time zone
+function zonedParts(ms) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone(),
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric',
+    weekday: 'short'
+  }).formatToParts(new Date(ms)).map(({ type, value }) => [type, value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+// The instant a wall-clock time in the policy time zone falls on
+function zonedTime(year, month, day, hour) {
+  const guess = Date.UTC(year, month - 1, day, hour);
+  const offsetAt = (ms) => {
+    const p = zonedParts(ms);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - ms;
+  };
+  const first = guess - offsetAt(guess);
+  return guess - offsetAt(first); // second pass settles DST transitions
+}
+
+export function trustedUntil(trustedAt) {
+  const trustedMs = typeof trustedAt === 'number' ? trustedAt : Date.parse(trustedAt);
+  const until = trustedMs + TRUST_MS;
+
+  const local = zonedParts(trustedMs);
+  if (![5, 6, 0].includes(local.weekday)) return until;
+
+  // Friday, Saturday or Sunday: carry over to Monday morning
+  const daysToMonday = (8 - local.weekday) % 7;
+  const monday = zonedTime(local.year, local.month, local.day + daysToMonday, CARRYOVER_HOUR);
+  return Math.max(until, monday);
+}
+
+function readCookie(request) {
+  const header = request.headers.cookie || '';
+  const match = header.split(';').map((part) => part.trim()).find((part) => part.startsWith(`${COOKIE_NAME}=`));
+  if (!match) return null;
+  const [deviceId, signature] = decodeURIComponent(match.slice(COOKIE_NAME.length + 1)).split('.');
+  return deviceId && signature ? { deviceId, signature } : null;
+}
+
+function setCookie(response, value, maxAge) {
+  response.setHeader('Set-Cookie',
+    `${COOKIE_NAME}=${encodeURIComponent(value)}; Path=/api; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`);
+}
+
+export function clearDeviceCookie(response) {
+  setCookie(response, '', 0);
+}
+
+function validSignature(cookie, userId) {
+  const expected = Buffer.from(sign(cookie.deviceId, userId));
+  const actual = Buffer.from(cookie.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+async function getDevice(userId, deviceId) {
+  const rows = await supabaseAdminFetch(
+    `${TABLE}?id=eq.${encodeURIComponent(deviceId)}&user_id=eq.${encodeURIComponent(userId)}&select=*`
+  );
+  return rows?.[0] || null;
+}
+
+function updateDevice(deviceId, fields) {
+  return supabaseAdminFetch(`${TABLE}?id=eq.${encodeURIComponent(deviceId)}`, {
+    method: 'PATCH',
+    headers: { Prefer: 'return=representation' },
+    body: JSON.stringify(fields)
+  }).then((rows) => rows?.[0] || null);
+}
+
+// The caller's device if its cookie is genuine, unrevoked and still inside
+// the trust window; touches last_seen_at every few minutes. Otherwise null.
+export async function getTrustedDevice(request, user, now = Date.now()) {
+  if (!deviceSecret()) return null;
+  const cookie = readCookie(request);
+  if (!cookie || !validSignature(cookie, user.id)) return null;
+
+  const device = await getDevice(user.id, cookie.deviceId);
+  if (!device || device.revoked_at || !device.trusted_at) return null;
+  if (trustedUntil(device.trusted_at) < now) return null;
+
+  const lastSeen = Date.parse(device.last_seen_at || '') || 0;
+  if (now - lastSeen < LAST_SEEN_INTERVAL_MS) return device;
+  return updateDevice(device.id, {
+    last_seen_at: new Date(now).toISOString(),
+    user_agent: request.headers['user-agent'] || device.user_agent
+  });
+}
+
+// Trusts the caller's device after a successful OllyPass check, reusing its
+// row when the browser already holds a valid cookie for this user.
+export async function trustDevice(request, response, user, now = Date.now()) {
+  if (!deviceSecret()) return null;
+  const timestamp = new Date(now).toISOString();
+  const userAgent = request.headers['user-agent'] || '';
+
+  const cookie = readCookie(request);
+  let device = cookie && validSignature(cookie, user.id) ? await getDevice(user.id, cookie.deviceId) : null;
+
+  if (device && !device.revoked_at) {
+    device = await updateDevice(device.id, { trusted_at: timestamp, last_seen_at: timestamp, user_agent: userAgent });
+  } else {
+    const rows = await supabaseAdminFetch(TABLE, {
+      method: 'POST',
+      headers: { Prefer: 'return=representation' },
+      body: JSON.stringify({
+        id: crypto.randomUUID(),
+        user_id: user.id,
+        user_agent: userAgent,
+        created_at: timestamp,
+        trusted_at: timestamp,
+        last_seen_at: timestamp
+      })
+    });
+    device = rows?.[0];
+  }
+
+  setCookie(response, `${device.id}.${sign(device.id, user.id)}`, COOKIE_MAX_AGE);
+  return device;
+}
+
+export function listDevices(userId) {
+  return supabaseAdminFetch(
+    `${TABLE}?user_id=eq.${encodeURIComponent(userId)}&revoked_at=is.null&select=*&order=last_seen_at.desc`
+  );
+}
+
+export function revokeDevice(userId, deviceId) {
+  return supabaseAdminFetch(
+    `${TABLE}?id=eq.${encodeURIComponent(deviceId)}&user_id=eq.${encodeURIComponent(userId)}&revoked_at=is.null`,
+    {
+      method: 'PATCH',
+      headers: { Prefer: 'return=representation' },
+      body: JSON.stringify({ revoked_at: new Date().toISOString() })
+    }
+  );
+}
+
+export function revokeAllDevices(userId) {
+  return supabaseAdminFetch(`${TABLE}?user_id=eq.${encodeURIComponent(userId)}&revoked_at=is.null`, {
+    method: 'PATCH',
+    headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({ revoked_at: new Date().toISOString() })
+  });
+}
+
+// Whether the request carries the cookie for this device
+export function isCurrentDevice(request, device) {
+  const cookie = readCookie(request);
+  return Boolean(cookie) && cookie.deviceId === device.id;
+}
+
+export function summarizeDevice(device, request, now = Date.now()) {
+  const until = trustedUntil(device.trusted_at);
+  return {
+    id: device.id,
+    userAgent: device.user_agent || '',
+    createdAt: device.created_at,
+    lastSeenAt: device.last_seen_at,
+    trustedUntil: new Date(until).toISOString(),
+    trusted: until >= now,
+    current: isCurrentDevice(request, device)
+  };
+}
@@ -0,0 +1,417 @@
+// OllyDaily digest: turns one trading day of raw sec-api filings into each
+// user's digest and renders it as HTML and plain-text email.
+//
+// Nothing here does I/O, so a digest can be rendered from fixture filings
+// (data/ollydaily/fixture-day.json) exactly as it is from a live day:
+//
+//   const day = normalizeDay(raw);              // raw sec-api results
+//   const digest = buildDigest(day, portfolio, { user, topN, archiveUrl });
+//   renderDigestHtml(digest); renderDigestText(digest);
+
+import { escapeHtml } from './mail.js';
+
+export const DEFAULT_TOP_N = 10;
+
+// 8-K items worth a place in the market-wide section, highest first
+const ITEM_WEIGHTS = {
+  '1.03': 10, // bankruptcy or receivership
+  '4.02': 9,  // non-reliance on previous financial statements
+  '3.01': 8,  // delisting notice
+  '2.01': 8,  // completed acquisition or disposition
+  '5.01': 8,  // change in control
+  '2.06': 7,  // material impairment
+  '4.01': 7,  // auditor change
+  '2.05': 6,  // exit or restructuring costs
+  '1.01': 6,  // material definitive agreement
+  '5.02': 6,  // director or officer departure / appointment
+  '2.04': 5,  // triggering event on an obligation
+  '1.02': 5,  // termination of a material agreement
+  '2.02': 2,  // results of operations
+  '8.01': 1,
+  '7.01': 1
+};
+
+// fetchDay list names, for the note when one was cut short
+const LIST_LABELS = {
+  insiderTrading: 'insider filings',
+  eightK: '8-Ks',
+  auditorChanges: 'auditor changes',
+  stakes: '13D stakes',
+  portfolioFilings: 'portfolio filings'
+};
+
+function stripCik(cik) {
+  return String(cik || '').replace(/^0+/, '');
+}
+
+function filingUrl(filing) {
+  if (filing.linkToFilingDetails) return filing.linkToFilingDetails;
+  const cik = stripCik(filing.cik);
+  const accession = String(filing.accessionNo || '').replace(/-/g, '');
+  return cik && accession ? `https://www.sec.gov/Archives/edgar/data/${cik}/${accession}/` : 'https://www.sec.gov/edgar/search/';
+}
+
+function describeRole(relationship = {}) {
+  const roles = [];
+  if (relationship.isDirector) roles.push('Director');
+  if (relationship.isOfficer) roles.push(relationship.officerTitle || 'Officer');
+  if (relationship.isTenPercentOwner) roles.push('10% Owner');
+  if (relationship.isOther) roles.push(relationship.otherText || 'Other');
+  return roles.join(', ') || 'Insider';
+}
+
+// One row per Form 4 with its open-market purchases and sales totalled
+function normalizeInsiderFiling(filing) {
+  const totals = { buy: { shares: 0, value: 0 }, sell: { shares: 0, value: 0 } };
+  (filing.nonDerivativeTable?.transactions || []).forEach((transaction) => {
+    const code = transaction.coding?.code;
+    if (code !== 'P' && code !== 'S') return;
+    const side = code === 'P' ? totals.buy : totals.sell;
+    const shares = Number(transaction.amounts?.shares) || 0;
+    side.shares += shares;
+    side.value += shares * (Number(transaction.amounts?.pricePerShare) || 0);
+  });
+
+  return {
+    accessionNo: filing.accessionNo,
+    filedAt: filing.filedAt,
+    formType: filing.documentType || filing.formType || '4',
+    issuerCik: stripCik(filing.issuer?.cik),
+    issuerName: filing.issuer?.name || '',
+    ticker: (filing.issuer?.tradingSymbol || '').toUpperCase(),
+    ownerCik: stripCik(filing.reportingOwner?.cik),
+    ownerName: filing.reportingOwner?.name || '',
+    role: describeRole(filing.reportingOwner?.relationship),
+    buyShares: totals.buy.shares,
+    buyValue: totals.buy.value,
+    sellShares: totals.sell.shares,
+    sellValue: totals.sell.value,
+    url: `https://www.sec.gov/Archives/edgar/data/${stripCik(filing.issuer?.cik)}/${String(filing.accessionNo || '').replace(/-/g, '')}/`
+  };
+}
+
+// "Item 2.02: Results of Operations..." -> { code: '2.02', label }
+function parseItems(items) {
+  return (items || []).map((item) => {
+    const match = String(item).match(/(\d+\.\d+)/);
+    return { code: match ? match[1] : '', label: String(item).replace(/^Item\s*\d+\.\d+:?\s*/i, '') || String(item) };
+  });
+}
+
+function normalizeFiling(filing) {
+  const items = parseItems(filing.items);
+  return {
+    accessionNo: filing.accessionNo,
+    filedAt: filing.filedAt,
+    formType: filing.formType,
+    companyName: filing.companyName || '',
+    ticker: (filing.ticker || '').toUpperCase(),
+    cik: stripCik(filing.cik),
+    description: filing.description || '',
+    items,
+    score: Math.max(0, ...items.map((item) => ITEM_WEIGHTS[item.code] || 0)),
+    url: filingUrl(filing)
+  };
+}
+
+function normalizeStake(filing) {
+  const owners = filing.owners || filing.filers || [];
+  const percent = Math.max(0, ...owners.map((owner) => Number(owner.amountAsPercent ?? owner.percentOfClass) || 0));
+  return {
+    accessionNo: filing.accessionNo,
+    filedAt: filing.filedAt,
+    formType: filing.formType,
+    issuerName: filing.nameOfIssuer || filing.issuer?.name || filing.companyName || '',
+    issuerCik: stripCik(filing.issuer?.cik || filing.issuerCik),
+    ticker: (filing.ticker || filing.issuer?.ticker || '').toUpperCase(),
+    filerNames: owners.map((owner) => owner.name).filter(Boolean),
+    percent,
+    url: filing.linkToFilingDetails || filingUrl({ cik: filing.issuer?.cik || filing.issuerCik, accessionNo: filing.accessionNo })
+  };
+}
+
+function normalizeAuditorChange(filing) {
+  const item = filing.item4_01 || {};
+  return {
+    accessionNo: filing.accessionNo,
+    filedAt: filing.filedAt,
+    companyName: filing.companyName || '',
+    ticker: (filing.ticker || '').toUpperCase(),
+    cik: stripCik(filing.cik),
+    formerAuditor: item.formerAccountantName || item.formerAccountant || 'Not stated',
+    newAuditor: item.newAccountantName || item.newAccountant || 'Not yet engaged',
+    reason: item.engagementEndReason || '',
+    disagreements: Boolean(item.reportedDisagreements),
+    url: filingUrl(filing)
+  };
+}
+
+// raw: { date, insiderTrading, eightK, auditorChanges, stakes, portfolioFilings }
+// as returned by the sec-api insider-trading, query, form-8k and form-13d-13g
+// endpoints, plus `truncated`: the names of any lists that were cut short
+export function normalizeDay(raw) {
+  return {
+    date: raw.date,
+    truncated: (raw.truncated || []).filter((name) => LIST_LABELS[name]),
+    insiderTrades: (raw.insiderTrading || []).map(normalizeInsiderFiling),
+    eightKs: (raw.eightK || []).map(normalizeFiling),
+    auditorChanges: (raw.auditorChanges || []).map(normalizeAuditorChange),
+    stakes: (raw.stakes || []).filter((filing) => /13D/i.test(filing.formType)).map(normalizeStake),
+    portfolioFilings: (raw.portfolioFilings || []).map(normalizeFiling)
+  };
+}
+
+// portfolio items: { kind: 'company', ticker, cik, name } | { kind: 'individual', cik, name }
+export function buildDigest(day, portfolio = [], options = {}) {
+  const topN = options.topN || DEFAULT_TOP_N;
+  const companies = portfolio.filter((item) => item.kind === 'company');
+  const individuals = portfolio.filter((item) => item.kind === 'individual');
+
+  const matchesCompany = (company, ticker, cik) =>
+    (company.ticker && ticker && company.ticker.toUpperCase() === ticker) || (company.cik && cik && stripCik(company.cik) === cik);
+
+  // Every filing type, deduped by accession, per portfolio company
+  const portfolioCompanies = companies.map((company) => {
+    const seen = new Set();
+    const filings = [...day.portfolioFilings, ...day.eightKs]
+      .filter((filing) => matchesCompany(company, filing.ticker, filing.cik))
+      .filter((filing) => !seen.has(filing.accessionNo) && seen.add(filing.accessionNo));
+    const trades = day.insiderTrades.filter((trade) => matchesCompany(company, trade.ticker, trade.issuerCik));
+    const stakes = day.stakes.filter((stake) => matchesCompany(company, stake.ticker, stake.issuerCik));
+    const auditorChanges = day.auditorChanges.filter((change) => matchesCompany(company, change.ticker, change.cik));
+    return { ticker: company.ticker || '', cik: stripCik(company.cik), name: company.name || company.ticker, filings, trades, stakes, auditorChanges };
+  }).filter((company) => company.filings.length + company.trades.length + company.stakes.length + company.auditorChanges.length > 0);
+
+  const watchedInsiders = individuals.map((individual) => ({
+    cik: stripCik(individual.cik),
+    name: individual.name || individual.cik,
+    trades: day.insiderTrades.filter((trade) => trade.ownerCik === stripCik(individual.cik))
+  })).filter((individual) => individual.trades.length > 0);
+
+  const insiderBuys = day.insiderTrades.filter((trade) => trade.buyValue > 0);
+
+  return {
+    date: day.date,
+    user: options.user || null,
+    archiveUrl: options.archiveUrl || null,
+    truncated: (day.truncated || []).map((name) => LIST_LABELS[name]),
+    portfolio: {
+      tracked: { companies: companies.length, individuals: individuals.length },
+      companies: portfolioCompanies,
+      insiders: watchedInsiders
+    },
+    market: {
+      insiderBuys: [...insiderBuys].sort((a, b) => b.buyValue - a.buyValue).slice(0, topN),
+      eightKs: day.eightKs.filter((filing) => filing.score >= 5)
+        .sort((a, b) => b.score - a.score || a.companyName.localeCompare(b.companyName)).slice(0, topN),
+      stakes: [...day.stakes].sort((a, b) => b.percent - a.percent).slice(0, topN),
+      auditorChanges: day.auditorChanges
+    },
+    stats: {
+      insiderFilings: day.insiderTrades.length,
+      insiderBuys: insiderBuys.length,
+      insiderBuyValue: insiderBuys.reduce((sum, trade) => sum + trade.buyValue, 0),
+      eightKs: day.eightKs.length,
+      stakes: day.stakes.length,
+      auditorChanges: day.auditorChanges.length
+    }
+  };
+}
+
+export function digestSubject(digest) {
+  const hits = digest.portfolio.companies.length + digest.portfolio.insiders.length;
+  const when = formatDate(digest.date);
+  return hits > 0
+    ? `OllyDaily for ${when}: ${hits} of your watched names filed`
+    : `OllyDaily for ${when}: ${digest.stats.insiderBuys} insider buys, ${digest.stats.auditorChanges} auditor changes`;
+}
+
+function formatDate(date) {
+  return new Date(`${date}T12:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+  });
+}
+
+function formatMoney(value) {
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(0)}K`;
+  return `$${Math.round(value)}`;
+}
+
+function formatShares(value) {
+  return Math.round(value).toLocaleString('en-US');
+}
+
+function tradeSummary(trade) {
+  const parts = [];
+  if (trade.buyValue > 0 || trade.buyShares > 0) parts.push(`bought ${formatShares(trade.buyShares)} shares (${formatMoney(trade.buyValue)})`);
+  if (trade.sellValue > 0 || trade.sellShares > 0) parts.push(`sold ${formatShares(trade.sellShares)} shares (${formatMoney(trade.sellValue)})`);
+  return parts.join(' and ') || `filed Form ${trade.formType}`;
+}
+
+function itemSummary(filing) {
+  if (filing.items.length === 0) return filing.description || `Form ${filing.formType}`;
+  return filing.items.map((item) => (item.code ? `${item.code} ${item.label}` : item.label)).join('; ');
+}
+
+function companyLabel(name, ticker) {
+  return ticker ? `${name} (${ticker})` : name;
+}
+
+function truncationNote(digest) {
+  if (!digest.truncated?.length) return '';
+  return `Incomplete day: sec-api.io returned only its first 10,000 results for ${digest.truncated.join(', ')}, so counts and rankings there leave out the earliest filings.`;
+}
+
+// ---- Plain text ----
+
+export function renderDigestText(digest) {
+  const lines = [`OLLYDAILY — ${formatDate(digest.date)}`, ''];
+  const section = (title) => lines.push('', title.toUpperCase(), '-'.repeat(title.length));
+
+  const { stats } = digest;
+  lines.push(
+    `${stats.insiderFilings} insider filings (${stats.insiderBuys} with open-market buys, ${formatMoney(stats.insiderBuyValue)}), `
+      + `${stats.eightKs} 8-Ks, ${stats.stakes} 13D stakes, ${stats.auditorChanges} auditor changes.`
+  );
+  if (truncationNote(digest)) lines.push(truncationNote(digest));
+
+  section('Your portfolio');
+  if (digest.portfolio.companies.length === 0 && digest.portfolio.insiders.length === 0) {
+    lines.push(digest.portfolio.tracked.companies + digest.portfolio.tracked.individuals > 0
+      ? 'Nothing filed for your companies or watched insiders.'
+      : 'Add companies and insiders to your portfolio to see them here.');
+  }
+  digest.portfolio.companies.forEach((company) => {
+    lines.push('', companyLabel(company.name, company.ticker));
+    company.filings.forEach((filing) => lines.push(`  * ${filing.formType}: ${itemSummary(filing)}  ${filing.url}`));
+    company.trades.forEach((trade) => lines.push(`  * ${trade.ownerName} (${trade.role}) ${tradeSummary(trade)}${trade.buyValue > 0 ? '  [INSIDER BUY]' : ''}  ${trade.url}`));
+    company.stakes.forEach((stake) => lines.push(`  * ${stake.formType}: ${stake.filerNames.join(', ')} reports ${stake.percent}%  ${stake.url}`));
+    company.auditorChanges.forEach((change) => lines.push(`  * Auditor change: ${change.formerAuditor} -> ${change.newAuditor}  ${change.url}`));
+  });
+  digest.portfolio.insiders.forEach((insider) => {
+    lines.push('', `${insider.name} (watched insider)`);
+    insider.trades.forEach((trade) => lines.push(`  * ${companyLabel(trade.issuerName, trade.ticker)}: ${tradeSummary(trade)}  ${trade.url}`));
+  });
+
+  section(`Top insider buys`);
+  if (digest.market.insiderBuys.length === 0) lines.push('None.');
+  digest.market.insiderBuys.forEach((trade, i) => lines.push(
+    `${i + 1}. ${companyLabel(trade.issuerName, trade.ticker)} — ${trade.ownerName} (${trade.role}) bought ${formatMoney(trade.buyValue)}  ${trade.url}`
+  ));
+
+  section('Notable 8-K events');
+  if (digest.market.eightKs.length === 0) lines.push('None.');
+  digest.market.eightKs.forEach((filing, i) => lines.push(
+    `${i + 1}. ${companyLabel(filing.companyName, filing.ticker)} — ${itemSummary(filing)}  ${filing.url}`
+  ));
+
+  section('13D stakes');
+  if (digest.market.stakes.length === 0) lines.push('None.');
+  digest.market.stakes.forEach((stake, i) => lines.push(
+    `${i + 1}. ${companyLabel(stake.issuerName, stake.ticker)} — ${stake.filerNames.join(', ') || 'Filer'} ${stake.percent}% (${stake.formType})  ${stake.url}`
+  ));
+
+  section('Auditor changes');
+  if (digest.market.auditorChanges.length === 0) lines.push('None.');
+  digest.market.auditorChanges.forEach((change) => lines.push(
+    `* ${companyLabel(change.companyName, change.ticker)}: ${change.formerAuditor} -> ${change.newAuditor}`
+      + `${change.reason ? ` (${change.reason})` : ''}${change.disagreements ? ' — disagreements reported' : ''}  ${change.url}`
+  ));
+
+  if (digest.archiveUrl) lines.push('', `Past digests: ${digest.archiveUrl}`);
+  lines.push('', 'You receive OllyDaily as part of your OllyTracker plan. Turn it off from the archive page.');
+  return lines.join('\n');
+}
+
+// ---- HTML (inline styles, since mail clients drop <style>) ----
+
+const STYLE = {
+  body: 'margin:0;padding:0;background:#f3f4f6;font-family:-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#111827;',
+  wrap: 'max-width:680px;margin:0 auto;background:#ffffff;',
+  header: 'background:#1e3c72;color:#ffd700;padding:24px;',
+  section: 'padding:16px 24px;border-top:1px solid #e5e7eb;',
+  h2: 'margin:0 0 10px 0;font-size:18px;color:#1e3c72;',
+  h3: 'margin:12px 0 4px 0;font-size:15px;',
+  row: 'margin:4px 0;font-size:14px;line-height:1.4;',
+  muted: 'color:#6b7280;font-size:13px;',
+  badge: 'display:inline-block;background:#16a34a;color:#ffffff;border-radius:4px;padding:1px 6px;font-size:11px;font-weight:bold;',
+  warn: 'display:inline-block;background:#dc2626;color:#ffffff;border-radius:4px;padding:1px 6px;font-size:11px;font-weight:bold;',
+  link: 'color:#2563eb;text-decoration:none;'
+};
+
+function link(url, text) {
+  return `<a href="${escapeHtml(url)}" style="${STYLE.link}">${escapeHtml(text)}</a>`;
+}
+
+function htmlSection(title, rows, empty = 'None.') {
+  return `<div style="${STYLE.section}"><h2 style="${STYLE.h2}">${escapeHtml(title)}</h2>${
+    rows.length ? rows.join('') : `<p style="${STYLE.muted}">${escapeHtml(empty)}</p>`
+  }</div>`;
+}
+
+function row(content) {
+  return `<p style="${STYLE.row}">${content}</p>`;
+}
+
+export function renderDigestHtml(digest) {
+  const { stats } = digest;
+  const e = escapeHtml;
+
+  const portfolioRows = [];
+  digest.portfolio.companies.forEach((company) => {
+    portfolioRows.push(`<h3 style="${STYLE.h3}">${e(companyLabel(company.name, company.ticker))}</h3>`);
+    company.filings.forEach((filing) => portfolioRows.push(row(`${link(filing.url, filing.formType)} ${e(itemSummary(filing))}`)));
+    company.trades.forEach((trade) => portfolioRows.push(row(
+      `${trade.buyValue > 0 ? `<span style="${STYLE.badge}">INSIDER BUY</span> ` : ''}${link(trade.url, `Form ${trade.formType}`)} `
+        + `${e(trade.ownerName)} <span style="${STYLE.muted}">${e(trade.role)}</span> ${e(tradeSummary(trade))}`
+    )));
+    company.stakes.forEach((stake) => portfolioRows.push(row(
+      `${link(stake.url, stake.formType)} ${e(stake.filerNames.join(', '))} reports <strong>${e(stake.percent)}%</strong>`
+    )));
+    company.auditorChanges.forEach((change) => portfolioRows.push(row(
+      `<span style="${STYLE.warn}">AUDITOR CHANGE</span> ${link(change.url, '8-K 4.01')} ${e(change.formerAuditor)} → ${e(change.newAuditor)}`
+    )));
+  });
+  digest.portfolio.insiders.forEach((insider) => {
+    portfolioRows.push(`<h3 style="${STYLE.h3}">${e(insider.name)} <span style="${STYLE.muted}">watched insider</span></h3>`);
+    insider.trades.forEach((trade) => portfolioRows.push(row(
+      `${trade.buyValue > 0 ? `<span style="${STYLE.badge}">BUY</span> ` : ''}${link(trade.url, companyLabel(trade.issuerName, trade.ticker))} ${e(tradeSummary(trade))}`
+    )));
+  });
+  const tracked = digest.portfolio.tracked.companies + digest.portfolio.tracked.individuals;
+
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"/><title>${e(digestSubject(digest))}</title></head>
+<body style="${STYLE.body}"><div style="${STYLE.wrap}">
+<div style="${STYLE.header}">
+  <div style="font-size:24px;font-weight:bold;">OllyDaily</div>
+  <div style="color:#ffffff;font-size:14px;">${e(formatDate(digest.date))}</div>
+</div>
+<div style="${STYLE.section}">
+  <p style="${STYLE.row}"><strong>${stats.insiderFilings}</strong> insider filings · <strong>${stats.insiderBuys}</strong> with open-market buys (${e(formatMoney(stats.insiderBuyValue))}) · <strong>${stats.eightKs}</strong> 8-Ks · <strong>${stats.stakes}</strong> 13D stakes · <strong>${stats.auditorChanges}</strong> auditor changes</p>
+  ${truncationNote(digest) ? `<p style="${STYLE.muted}">${e(truncationNote(digest))}</p>` : ''}
+</div>
+${htmlSection('Your portfolio', portfolioRows, tracked > 0
+    ? 'Nothing filed for your companies or watched insiders.'
+    : 'Add companies and insiders to your portfolio to see them here.')}
+${htmlSection('Top insider buys', digest.market.insiderBuys.map((trade, i) => row(
+    `${i + 1}. ${link(trade.url, companyLabel(trade.issuerName, trade.ticker))} — ${e(trade.ownerName)} <span style="${STYLE.muted}">${e(trade.role)}</span> bought <strong>${e(formatMoney(trade.buyValue))}</strong>`
+  )))}
+${htmlSection('Notable 8-K events', digest.market.eightKs.map((filing, i) => row(
+    `${i + 1}. ${link(filing.url, companyLabel(filing.companyName, filing.ticker))} — ${e(itemSummary(filing))}`
+  )))}
+${htmlSection('13D stakes', digest.market.stakes.map((stake, i) => row(
+    `${i + 1}. ${link(stake.url, companyLabel(stake.issuerName, stake.ticker))} — ${e(stake.filerNames.join(', ') || 'Filer')} <strong>${e(stake.percent)}%</strong> <span style="${STYLE.muted}">${e(stake.formType)}</span>`
+  )))}
+${htmlSection('Auditor changes', digest.market.auditorChanges.map((change) => row(
+    `${link(change.url, companyLabel(change.companyName, change.ticker))}: ${e(change.formerAuditor)} → ${e(change.newAuditor)}`
+      + `${change.reason ? ` <span style="${STYLE.muted}">${e(change.reason)}</span>` : ''}`
+      + `${change.disagreements ? ` <span style="${STYLE.warn}">DISAGREEMENTS</span>` : ''}`
+  )))}
+<div style="${STYLE.section}">
+  <p style="${STYLE.muted}">${digest.archiveUrl ? `${link(digest.archiveUrl, 'Past digests')} · ` : ''}You receive OllyDaily as part of your OllyTracker plan. Turn it off from the archive page.</p>
+</div>
+</div></body></html>`;
+}
@@ -0,0 +1,317 @@
+// Full-text filing search (sec-api.io /full-text-search) and saved searches.
+//
+// The search page sends its queries through api/sec-proxy.js like every other
+// sec-api call; this module is for the server-side parts: snippet extraction,
+// saving searches and the scheduled re-runs in api/cron/saved-searches.js.
+//
+// A search is { query, formTypes: ['8-K'], startDate, endDate, ciks: ['320193'],
+// scope: 'AAPL, 320193' } where scope is the page's own text for the CIKs.
+// The query uses sec-api's syntax: "exact phrases", OR between terms (AND is
+// implied), -term to exclude and a trailing * for prefixes.
+//
+// Saved searches live in `saved_searches`, read and written with the service
+// role only (no browser policies; see supabase/saved_searches.sql):
+//
+//   id              uuid primary key default gen_random_uuid()
+//   user_id         uuid references auth.users on delete cascade
+//   name            text
+//   search          jsonb        the search above
+//   frequency       text         'off' | 'hourly' | 'daily'
+//   notify          boolean      email new hits to the owner
+//   seen            jsonb        accession numbers already reported (newest SEEN_LIMIT)
+//   new_hits        jsonb        [{ accessionNo, formType, companyName, ticker, cik, filedAt,
+//                                   url, description }] not yet looked at (newest HITS_LIMIT)
+//   last_run_at     timestamptz
+//   last_run_truncated boolean   the last scheduled run stopped at MAX_RUN_PAGES
+//   created_at      timestamptz default now()
+//   updated_at      timestamptz default now()
+
+import { supabaseAdminFetch } from './admin.js';
+import { mapUpstreamStatus, readUpstreamError } from './http.js';
+import { escapeHtml } from './mail.js';
+
+const SEC_API_URL = 'https://api.sec-api.io/full-text-search';
+const TABLE = '/rest/v1/saved_searches';
+const MAX_QUERY_LENGTH = 500;
+const MAX_FORM_TYPES = 20;
+const MAX_CIKS = 50;
+const SEEN_LIMIT = 2000;
+const HITS_LIMIT = 50;
+
+export const PAGE_SIZE = 100; // fixed by sec-api
+// Pages a scheduled run reads before giving up on the rest of its window
+export const MAX_RUN_PAGES = 10;
+export const FREQUENCIES = { off: 0, hourly: 60 * 60 * 1000, daily: 24 * 60 * 60 * 1000 };
+
+export class SearchError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Validates a search from the browser and drops anything sec-api won't take
+export function normalizeSearch(input = {}) {
+  const query = String(input.query || '').trim();
+  if (!query) throw new SearchError(400, 'INVALID_SEARCH', 'A search query is required.');
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new SearchError(400, 'INVALID_SEARCH', `Queries are limited to ${MAX_QUERY_LENGTH} characters.`);
+  }
+
+  const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+  const formTypes = [...new Set(list(input.formTypes).map((form) => form.toUpperCase()))].slice(0, MAX_FORM_TYPES);
+  const ciks = [...new Set(list(input.ciks).map((cik) => cik.replace(/\D/g, '').replace(/^0+/, '')).filter(Boolean))];
+  if (ciks.length > MAX_CIKS) {
+    throw new SearchError(400, 'INVALID_SEARCH', `A search can be scoped to at most ${MAX_CIKS} companies.`);
+  }
+
+  const search = { query, formTypes, ciks };
+  const scope = String(input.scope || '').trim().slice(0, 200);
+  if (scope) search.scope = scope;
+  for (const field of ['startDate', 'endDate']) {
+    if (!input[field]) continue;
+    if (!isDate(input[field])) throw new SearchError(400, 'INVALID_SEARCH', `${field} must be YYYY-MM-DD.`);
+    search[field] = input[field];
+  }
+  if (search.startDate && search.endDate && search.startDate > search.endDate) {
+    throw new SearchError(400, 'INVALID_SEARCH', 'startDate must not be after endDate.');
+  }
+  return search;
+}
+
+// Runs one page of a search against sec-api directly (the cron has no user
+// session to go through the proxy with). Returns { total, filings }.
+export async function runSearch(search, page = 1) {
+  const apiKey = process.env.SEC_API_KEY;
+  if (!apiKey) throw new SearchError(500, 'NOT_CONFIGURED', 'SEC API key is not configured on the server.');
+
+  const payload = { query: search.query, page: String(page) };
+  if (search.formTypes?.length) payload.formTypes = search.formTypes;
+  if (search.ciks?.length) payload.ciks = search.ciks;
+  if (search.startDate) payload.startDate = search.startDate;
+  if (search.endDate) payload.endDate = search.endDate;
+
+  const apiResponse = await fetch(SEC_API_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': apiKey },
+    body: JSON.stringify(payload)
+  });
+  if (!apiResponse.ok) {
+    const { status, code } = mapUpstreamStatus(apiResponse.status);
+    throw new SearchError(status, code, `sec-api.io full-text-search failed: ${await readUpstreamError(apiResponse)}`);
+  }
+  const data = await apiResponse.json();
+  return { total: data.total?.value ?? 0, filings: data.filings || [] };
+}
+
+// Every page of a search, up to MAX_RUN_PAGES. Returns { total, filings,
+// truncated }, truncated when the cap was reached with filings left.
+export async function runAllPages(search) {
+  let filings = [];
+  let total = 0;
+  for (let page = 1; page <= MAX_RUN_PAGES; page++) {
+    const result = await runSearch(search, page);
+    total = result.total;
+    filings = filings.concat(result.filings);
+    if (result.filings.length < PAGE_SIZE || filings.length >= total) {
+      return { total, filings, truncated: false };
+    }
+  }
+  return { total, filings, truncated: true };
+}
+
+// What the page and alert emails show for a hit. companyNameLong carries
+// the ticker and CIK: "Apple Inc. (AAPL) (CIK 0000320193)" -> "Apple Inc."
+export function summarizeHit(filing) {
+  return {
+    accessionNo: filing.accessionNo,
+    formType: filing.formType,
+    companyName: String(filing.companyNameLong || filing.companyName || '').replace(/\s*\((CIK\s*)?[^()]*\)\s*/g, ' ').trim(),
+    ticker: filing.ticker || '',
+    cik: String(filing.cik || '').replace(/^0+/, ''),
+    filedAt: filing.filedAt,
+    url: filing.filingUrl,
+    description: filing.description || ''
+  };
+}
+
+// ---- Snippets ----
+
+// The words and phrases a query looks for, without operators, excluded
+// terms or bare wildcards: '"going concern" OR restat* -draft *' ->
+// ['going concern', 'restat*']
+export function queryTerms(query) {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)([^\s"()]+)/g;
+  let match;
+  while ((match = pattern.exec(String(query || '')))) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim();
+    if (!/\w/.test(term) || negated || /^(AND|OR|NOT)$/.test(term)) continue;
+    terms.push(term);
+  }
+  return [...new Set(terms)];
+}
+
+// Filing HTML or text -> plain text with collapsed whitespace
+export function documentText(raw) {
+  return String(raw || '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;|&#160;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/gi, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Up to `max` passages around matches of the query's terms, each as
+// [{ text, hit }] segments so the page can highlight without parsing HTML.
+export function extractSnippets(text, query, { max = 3, radius = 120 } = {}) {
+  const terms = queryTerms(query);
+  if (terms.length === 0 || !text) return [];
+  const escape = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const source = terms
+    .map((term) => (term.endsWith('*')
+      ? `\\b${escape(term.slice(0, -1)).replace(/\s+/g, '\\s+')}\\w*`
+      : `\\b${escape(term).replace(/\s+/g, '\\s+')}\\b`))
+    .join('|');
+  const pattern = new RegExp(source, 'gi');
+
+  const snippets = [];
+  let lastEnd = -1;
+  let match;
+  while (snippets.length < max && (match = pattern.exec(text))) {
+    // Never let an empty match stall the scan
+    if (!match[0]) {
+      pattern.lastIndex++;
+      continue;
+    }
+    if (match.index < lastEnd) continue;
+    const start = Math.max(0, match.index - radius);
+    const end = Math.min(text.length, match.index + match[0].length + radius);
+    const passage = text.slice(start, end);
+
+    const segments = [];
+    let cursor = 0;
+    const local = new RegExp(source, 'gi');
+    let hit;
+    while ((hit = local.exec(passage))) {
+      if (!hit[0]) {
+        local.lastIndex++;
+        continue;
+      }
+      if (hit.index > cursor) segments.push({ text: passage.slice(cursor, hit.index), hit: false });
+      segments.push({ text: hit[0], hit: true });
+      cursor = hit.index + hit[0].length;
+    }
+    if (cursor < passage.length) segments.push({ text: passage.slice(cursor), hit: false });
+    if (start > 0) segments[0].text = `…${segments[0].text}`;
+    if (end < text.length) segments[segments.length - 1].text += '…';
+
+    snippets.push(segments);
+    lastEnd = end;
+  }
+  return snippets;
+}
+
+// ---- Saved searches ----
+
+function userFilter(userId) {
+  return `user_id=eq.${encodeURIComponent(userId)}`;
+}
+
+export function listSavedSearches(userId) {
+  return supabaseAdminFetch(`${TABLE}?${userFilter(userId)}&select=id,name,search,frequency,notify,new_hits,last_run_at,created_at&order=created_at.asc`);
+}
+
+export async function getSavedSearch(userId, id) {
+  const rows = await supabaseAdminFetch(`${TABLE}?${userFilter(userId)}&id=eq.${encodeURIComponent(id)}&select=*`);
+  return rows?.[0] || null;
+}
+
+export async function insertSavedSearch(userId, fields) {
+  const rows = await supabaseAdminFetch(TABLE, {
+    method: 'POST',
+    headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({ user_id: userId, ...fields })
+  });
+  return rows?.[0] || null;
+}
+
+export async function updateSavedSearch(id, fields) {
+  const rows = await supabaseAdminFetch(`${TABLE}?id=eq.${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({ ...fields, updated_at: new Date().toISOString() })
+  });
+  return rows?.[0] || null;
+}
+
+export function deleteSavedSearch(userId, id) {
+  return supabaseAdminFetch(`${TABLE}?${userFilter(userId)}&id=eq.${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+// Searches whose frequency says they should run again by `now`
+export async function listDueSearches(now = Date.now()) {
+  const rows = await supabaseAdminFetch(`${TABLE}?frequency=neq.off&select=*`);
+  return (rows || []).filter((row) => {
+    const interval = FREQUENCIES[row.frequency];
+    // A few minutes' slack so an hourly cron doesn't skip every other run
+    return interval && (!row.last_run_at || now - Date.parse(row.last_run_at) >= interval - 5 * 60 * 1000);
+  });
+}
+
+// Folds a run's results into a saved search: returns the hits it hadn't
+// reported yet and the fields to store.
+export function mergeRun(saved, filings, now = new Date()) {
+  const seen = new Set(saved.seen || []);
+  const fresh = filings.filter((filing) => filing.accessionNo && !seen.has(filing.accessionNo)).map(summarizeHit);
+  const newest = [...fresh.map((hit) => hit.accessionNo), ...(saved.seen || [])].slice(0, SEEN_LIMIT);
+  return {
+    fresh,
+    fields: {
+      seen: newest,
+      new_hits: [...fresh, ...(saved.new_hits || [])].slice(0, HITS_LIMIT),
+      last_run_at: now.toISOString()
+    }
+  };
+}
+
+// ---- Alert email ----
+
+export function renderAlertText(saved, hits, link) {
+  return [
+    `${hits.length} new filing${hits.length === 1 ? ' matches' : 's match'} your saved search "${saved.name}" (${saved.search.query}).`,
+    '',
+    ...hits.map((hit) => `${hit.formType}  ${hit.companyName}${hit.ticker ? ` (${hit.ticker})` : ''}  ${String(hit.filedAt || '').slice(0, 10)}\n  ${hit.url}`),
+    '',
+    `Open the search: ${link}`
+  ].join('\n');
+}
+
+export function renderAlertHtml(saved, hits, link) {
+  const rows = hits.map((hit) => `
+    <tr>
+      <td style="padding:6px 8px;border-bottom:1px solid #eee;font-weight:600;">${escapeHtml(hit.formType)}</td>
+      <td style="padding:6px 8px;border-bottom:1px solid #eee;"><a href="${escapeHtml(hit.url)}">${escapeHtml(hit.companyName)}</a>${hit.ticker ? ` (${escapeHtml(hit.ticker)})` : ''}</td>
+      <td style="padding:6px 8px;border-bottom:1px solid #eee;color:#666;">${escapeHtml(String(hit.filedAt || '').slice(0, 10))}</td>
+    </tr>`).join('');
+  return `<!doctype html>
+<html><body style="font-family:Arial,sans-serif;color:#222;">
+  <h2 style="color:#764ba2;">🔎 ${escapeHtml(saved.name)}</h2>
+  <p>${hits.length} new filing${hits.length === 1 ? ' matches' : 's match'} <code>${escapeHtml(saved.search.query)}</code>.</p>
+  <table style="border-collapse:collapse;width:100%;font-size:14px;">${rows}</table>
+  <p><a href="${escapeHtml(link)}">Open the search in OllyTracker</a></p>
+</body></html>`;
+}
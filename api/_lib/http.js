@@ -0,0 +1,53 @@
+// Shared response helpers for the serverless routes in /api.
+// Every route reports failures as { error, code, status } so pages can
+// surface them the same way no matter which upstream produced them.
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+export function sendError(response, status, code, message, details) {
+  const body = { error: message, code, status };
+  if (details) body.details = details;
+  return response.status(status).json(body);
+}
+
+// The site's own origin, for links in emails and fetches of bundled files.
+// SITE_URL pins it when the request's Host can't be trusted.
+export function siteOrigin(request) {
+  if (process.env.SITE_URL) return process.env.SITE_URL.replace(/\/+$/, '');
+  const proto = request.headers['x-forwarded-proto'] || 'https';
+  return `${proto}://${request.headers.host}`;
+}
+
+// True when Vercel Cron sent the request: "Authorization: Bearer $CRON_SECRET".
+// Both sides are hashed first so the comparison is constant-time whatever
+// the header's length.
+export function isCronRequest(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+  const header = request.headers.authorization || request.headers.Authorization || '';
+  const digest = (value) => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(header), digest(`Bearer ${secret}`));
+}
+
+// Maps an upstream HTTP failure onto the status we report to the browser.
+// Upstream auth failures mean our server-side key is wrong, which the caller
+// cannot fix, so they are reported as a bad gateway rather than a 401.
+export function mapUpstreamStatus(upstreamStatus) {
+  if (upstreamStatus === 429) return { status: 429, code: 'UPSTREAM_RATE_LIMITED' };
+  if (upstreamStatus === 401 || upstreamStatus === 403) return { status: 502, code: 'UPSTREAM_AUTH' };
+  if (upstreamStatus === 404) return { status: 404, code: 'UPSTREAM_NOT_FOUND' };
+  if (upstreamStatus >= 400 && upstreamStatus < 500) return { status: 400, code: 'UPSTREAM_REJECTED' };
+  return { status: 502, code: 'UPSTREAM_ERROR' };
+}
+
+// Pulls a readable message out of an upstream error body, which may be JSON
+// ({ message }, { error }) or plain text.
+export async function readUpstreamError(apiResponse) {
+  const text = await apiResponse.text();
+  try {
+    const parsed = JSON.parse(text);
+    return parsed.message || parsed.error || text;
+  } catch (err) {
+    return text || apiResponse.statusText;
+  }
+}
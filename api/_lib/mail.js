@@ -0,0 +1,243 @@
+// Outbound mail for the serverless routes, behind a pluggable transport.
+//
+//   MAIL_TRANSPORT  'smtp' (default when SMTP_HOST is set) or 'log'; with
+//                   neither, sending fails rather than guessing
+//   MAIL_FROM       sender, e.g. "OllyTracker <no-reply@ollytracker.com>"
+//   SMTP_HOST / SMTP_PORT (587) / SMTP_USER / SMTP_PASS
+//   SMTP_SECURE     'true' for implicit TLS (port 465); otherwise STARTTLS is
+//                   used whenever the server offers it
+//   SMTP_INSECURE   'true' to send SMTP_USER/SMTP_PASS over a connection
+//                   that stayed unencrypted (local catchers only)
+//
+// 'log' prints whole messages, sign-up and invite links included, to the
+// function log, so it is for local development only and never a fallback.
+// Point SMTP_HOST/SMTP_PORT at a local catcher (MailHog, Mailpit on 1025) to
+// see every message without delivering it. Tests can also registerTransport()
+// their own sender.
+
+import net from 'net';
+import tls from 'tls';
+import crypto from 'crypto';
+
+const SMTP_TIMEOUT_MS = 15000;
+const DEFAULT_FROM = 'OllyTracker <no-reply@ollytracker.com>';
+
+export class MailError extends Error {
+  constructor(message, status = 502, code = 'MAIL_FAILED') {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Collects SMTP replies from a socket. Multi-line replies ("250-...") end
+// at the line whose code is followed by a space. Once the socket errors,
+// times out or closes, every pending and later next() rejects.
+function createReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines };
+        lines = [];
+        if (waiters.length > 0) waiters.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onFailure = (error) => {
+    failure = failure || error;
+    while (waiters.length > 0) waiters.shift().reject(failure);
+  };
+  const onClose = () => onFailure(new MailError('SMTP connection closed unexpectedly.'));
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', onClose);
+
+  return {
+    next: () => {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    // The error listener stays so a late error on the old socket is not
+    // thrown as unhandled
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+function timeOut(socket) {
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new MailError('SMTP connection timed out.')));
+}
+
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host })
+      : net.connect({ host: options.host, port: options.port });
+    timeOut(socket);
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    socket.setTimeout(0);
+    const secure = tls.connect({ socket, servername: host });
+    timeOut(secure);
+    secure.once('secureConnect', () => resolve(secure));
+    secure.once('error', reject);
+  });
+}
+
+// Lines starting with "." are doubled so they don't end the DATA block
+function dotStuff(text) {
+  return text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function addressOf(mailbox) {
+  const match = String(mailbox).match(/<([^>]+)>/);
+  return (match ? match[1] : mailbox).trim();
+}
+
+// RFC 5322 message with text and (optionally) HTML alternatives
+export function buildMessage({ from, to, subject, text, html }) {
+  const boundary = `olly-${crypto.randomBytes(12).toString('hex')}`;
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${addressOf(from).split('@')[1] || 'ollytracker'}>`,
+    'MIME-Version: 1.0'
+  ];
+  const part = (type, body) => [
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(body).toString('base64').replace(/.{76}/g, '$&\r\n')
+  ].join('\r\n');
+
+  if (!html) return [...headers, part('text/plain', text || ''), ''].join('\r\n');
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    part('text/plain', text || ''),
+    `--${boundary}`,
+    part('text/html', html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+async function sendViaSmtp(message) {
+  const options = {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || (process.env.SMTP_SECURE === 'true' ? 465 : 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  };
+  if (!options.host) throw new MailError('SMTP_HOST is not configured on the server.');
+
+  let socket = await connect(options);
+  let reader = createReader(socket);
+  let encrypted = options.secure;
+
+  const expect = async (codes) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      throw new MailError(`SMTP server replied ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+  const command = (line, codes) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes);
+  };
+
+  try {
+    await expect([220]);
+    let ehlo = await command('EHLO ollytracker', [250]);
+
+    if (!options.secure && ehlo.lines.some((line) => /STARTTLS/i.test(line))) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgradeToTls(socket, options.host);
+      reader = createReader(socket);
+      encrypted = true;
+      ehlo = await command('EHLO ollytracker', [250]);
+    }
+
+    if (options.user) {
+      if (!encrypted && process.env.SMTP_INSECURE !== 'true') {
+        throw new MailError('The SMTP server did not offer STARTTLS; refusing to send credentials unencrypted.');
+      }
+      const credentials = Buffer.from(`\0${options.user}\0${options.pass || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+    await command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+    await command('DATA', [354]);
+    await command(`${dotStuff(buildMessage(message))}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } catch (error) {
+    throw error instanceof MailError ? error : new MailError(`SMTP delivery failed: ${error.message}`);
+  } finally {
+    socket.end();
+  }
+}
+
+// Development only (MAIL_TRANSPORT=log): the message goes to the function log
+async function sendViaLog(message) {
+  console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+}
+
+const transports = {
+  smtp: sendViaSmtp,
+  log: sendViaLog
+};
+
+export function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+function transportName() {
+  return process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// sendMail({ to, subject, text, html })
+export async function sendMail(message) {
+  const name = transportName();
+  if (!name) {
+    throw new MailError('Mail is not configured on the server (set SMTP_HOST, or MAIL_TRANSPORT=log for development).', 500, 'NOT_CONFIGURED');
+  }
+  const send = transports[name];
+  if (!send) throw new MailError(`Unknown mail transport "${name}".`, 500, 'NOT_CONFIGURED');
+  await send({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+}
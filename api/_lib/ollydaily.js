@@ -0,0 +1,177 @@
+// OllyDaily data: one trading day of filings from sec-api.io, and the
+// per-user archive of sent digests in `ollydaily_digests` (service role only,
+// see supabase/ollydaily_digests.sql):
+//
+//   id           uuid primary key default gen_random_uuid()
+//   user_id      uuid references auth.users on delete cascade
+//   digest_date  date          the trading day the digest covers
+//   subject      text
+//   html         text
+//   text         text
+//   stats        jsonb
+//   sent_at      timestamptz   null when the email could not be sent
+//   created_at   timestamptz default now()
+//   unique (user_id, digest_date)
+//
+// Building and rendering a digest lives in digest.js, which never does I/O.
+
+import { supabaseAdminFetch } from './admin.js';
+import { readUpstreamError } from './http.js';
+
+const SEC_API_BASE = 'https://api.sec-api.io';
+const TABLE = '/rest/v1/ollydaily_digests';
+const PAGE_SIZE = 50;
+// sec-api.io serves from + size up to 10,000 per query; past that a day is cut short
+const MAX_RESULTS = 10000;
+const TICKERS_PER_QUERY = 50;
+
+export const DIGEST_TIMEZONE = 'America/New_York';
+
+export class DigestError extends Error {
+  constructor(message, upstreamStatus) {
+    super(message);
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+// YYYY-MM-DD in New York for `now`
+function marketDate(now) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: DIGEST_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(now);
+}
+
+// The weekday before `now` in New York. Exchange holidays are not skipped
+// here; a holiday simply has few filings.
+export function previousTradingDay(now = new Date()) {
+  const day = new Date(`${marketDate(now)}T12:00:00Z`);
+  do {
+    day.setUTCDate(day.getUTCDate() - 1);
+  } while (day.getUTCDay() === 0 || day.getUTCDay() === 6);
+  return day.toISOString().slice(0, 10);
+}
+
+export function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) && !Number.isNaN(Date.parse(value));
+}
+
+async function secApi(path, payload) {
+  const apiKey = process.env.SEC_API_KEY;
+  if (!apiKey) throw new DigestError('SEC API key is not configured on the server.');
+
+  const apiResponse = await fetch(`${SEC_API_BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': apiKey },
+    body: JSON.stringify(payload)
+  });
+  if (!apiResponse.ok) {
+    throw new DigestError(`sec-api.io ${path || 'query'} failed: ${await readUpstreamError(apiResponse)}`, apiResponse.status);
+  }
+  return apiResponse.json();
+}
+
+// Follows from/size paging until a short page; the results key differs by
+// endpoint. Returns { results, truncated }, truncated when MAX_RESULTS ran out
+// first.
+async function fetchAll(path, query, resultsKey) {
+  let results = [];
+  for (let from = 0; from < MAX_RESULTS; from += PAGE_SIZE) {
+    const data = await secApi(path, {
+      query,
+      from: String(from),
+      size: String(PAGE_SIZE),
+      sort: [{ filedAt: { order: 'desc' } }]
+    });
+    const batch = data[resultsKey] || [];
+    results = results.concat(batch);
+    if (batch.length < PAGE_SIZE) return { results, truncated: false };
+  }
+  return { results, truncated: true };
+}
+
+function chunk(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+}
+
+// Every filing for the portfolio companies, whatever the form
+async function fetchPortfolioFilings(filedAt, portfolios) {
+  const tickers = new Set();
+  const ciks = new Set();
+  portfolios.forEach((items) => items.forEach((item) => {
+    if (item.kind !== 'company') return;
+    if (item.ticker) tickers.add(String(item.ticker).toUpperCase().replace(/[^A-Z0-9.\-]/g, ''));
+    else if (item.cik) ciks.add(String(item.cik).replace(/\D/g, '').replace(/^0+/, ''));
+  }));
+
+  const queries = [
+    ...chunk([...tickers].filter(Boolean), TICKERS_PER_QUERY).map((batch) => `ticker:(${batch.join(' OR ')})`),
+    ...chunk([...ciks].filter(Boolean), TICKERS_PER_QUERY).map((batch) => `cik:(${batch.join(' OR ')})`)
+  ];
+  const batches = await Promise.all(queries.map((scope) => fetchAll('', `${scope} AND ${filedAt}`, 'filings')));
+  return {
+    results: batches.flatMap((batch) => batch.results),
+    truncated: batches.some((batch) => batch.truncated)
+  };
+}
+
+// Raw sec-api results for one trading day, in the shape normalizeDay expects.
+// `truncated` names the lists that hit sec-api's result ceiling.
+export async function fetchDay(date, portfolios = new Map()) {
+  const filedAt = `filedAt:[${date} TO ${date}]`;
+  const lists = {
+    insiderTrading: fetchAll('/insider-trading', filedAt, 'transactions'),
+    eightK: fetchAll('', `formType:"8-K" AND ${filedAt}`, 'filings'),
+    // The same query OllyAuditor.html runs: 8-Ks with an Item 4.01 section
+    auditorChanges: fetchAll('/form-8k', `item4_01:* AND ${filedAt}`, 'data'),
+    stakes: fetchAll('/form-13d-13g', `formType:("SC 13D" OR "SC 13D/A") AND ${filedAt}`, 'filings'),
+    portfolioFilings: fetchPortfolioFilings(filedAt, portfolios)
+  };
+  const names = Object.keys(lists);
+  const fetched = await Promise.all(Object.values(lists));
+
+  const raw = { date, truncated: [] };
+  names.forEach((name, i) => {
+    raw[name] = fetched[i].results;
+    if (fetched[i].truncated) raw.truncated.push(name);
+  });
+  return raw;
+}
+
+// ---- Archive ----
+
+export async function getArchivedDigest(userId, date) {
+  const rows = await supabaseAdminFetch(
+    `${TABLE}?user_id=eq.${encodeURIComponent(userId)}&digest_date=eq.${encodeURIComponent(date)}&select=*`
+  );
+  return rows?.[0] || null;
+}
+
+export function listArchivedDigests(userId, limit = 60) {
+  return supabaseAdminFetch(
+    `${TABLE}?user_id=eq.${encodeURIComponent(userId)}&select=digest_date,subject,stats,sent_at&order=digest_date.desc&limit=${limit}`
+  );
+}
+
+export async function saveDigest(userId, date, fields) {
+  const rows = await supabaseAdminFetch(`${TABLE}?on_conflict=user_id,digest_date`, {
+    method: 'POST',
+    headers: { Prefer: 'resolution=merge-duplicates,return=representation' },
+    body: JSON.stringify({ user_id: userId, digest_date: date, ...fields })
+  });
+  return rows?.[0] || null;
+}
+
+export function markDigestSent(userId, date) {
+  return supabaseAdminFetch(
+    `${TABLE}?user_id=eq.${encodeURIComponent(userId)}&digest_date=eq.${encodeURIComponent(date)}`,
+    { method: 'PATCH', body: JSON.stringify({ sent_at: new Date().toISOString() }) }
+  );
+}
+
+// user_ids already mailed the digest for `date`, so a re-run skips them
+export async function sentUserIds(date) {
+  const rows = await supabaseAdminFetch(`${TABLE}?digest_date=eq.${encodeURIComponent(date)}&sent_at=not.is.null&select=user_id`);
+  return new Set((rows || []).map((row) => row.user_id));
+}
@@ -0,0 +1,53 @@
+// Server-side storage for OllyPass (TOTP) factors.
+//
+// Secrets live in the `ollypass_factors` table, which has row level security
+// enabled and no policies, so only the service role can read or write it
+// (supabase/ollypass.sql):
+//
+//   user_id          uuid primary key references auth.users on delete cascade
+//   secret           text          active base32 secret (null until activated)
+//   pending_secret   text          secret shown during enrollment
+//   recovery_codes   jsonb         sha256 hashes of unused recovery codes
+//   last_used_step   bigint        last accepted TOTP step (replay protection)
+//   failed_attempts  int
+//   locked_until     timestamptz
+//   enabled_at       timestamptz
+//   updated_at       timestamptz
+
+import { supabaseAdminFetch } from './admin.js';
+
+const TABLE = '/rest/v1/ollypass_factors';
+
+export const MAX_FAILED_ATTEMPTS = 5;
+export const LOCKOUT_MS = 15 * 60 * 1000;
+
+export async function getFactor(userId) {
+  const rows = await supabaseAdminFetch(`${TABLE}?user_id=eq.${encodeURIComponent(userId)}&select=*`);
+  return rows?.[0] || null;
+}
+
+export async function saveFactor(userId, fields) {
+  const rows = await supabaseAdminFetch(TABLE, {
+    method: 'POST',
+    headers: { Prefer: 'resolution=merge-duplicates,return=representation' },
+    body: JSON.stringify({ user_id: userId, ...fields, updated_at: new Date().toISOString() })
+  });
+  return rows?.[0] || null;
+}
+
+export function deleteFactor(userId) {
+  return supabaseAdminFetch(`${TABLE}?user_id=eq.${encodeURIComponent(userId)}`, { method: 'DELETE' });
+}
+
+export function isLocked(factor, now = Date.now()) {
+  return Boolean(factor?.locked_until) && Date.parse(factor.locked_until) > now;
+}
+
+// Counts a failed code and locks the factor after too many in a row
+export function recordFailure(userId, factor) {
+  const failed = (factor.failed_attempts || 0) + 1;
+  return saveFactor(userId, {
+    failed_attempts: failed >= MAX_FAILED_ATTEMPTS ? 0 : failed,
+    locked_until: failed >= MAX_FAILED_ATTEMPTS ? new Date(Date.now() + LOCKOUT_MS).toISOString() : factor.locked_until || null
+  });
+}
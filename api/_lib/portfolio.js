@@ -0,0 +1,29 @@
+// Server-side reads of users' portfolios.
+//
+// Each user has one row in `portfolios`, which the browser writes through its
+// own session (row level security: user_id = auth.uid()):
+//
+//   user_id     uuid primary key references auth.users on delete cascade
+//   items       jsonb   [{ kind: 'company', ticker, cik, name }
+//                        | { kind: 'individual', cik, name }]
+//   updated_at  timestamptz
+//
+// Companies are matched by ticker or issuer CIK, individuals by their
+// reporting-owner CIK. The table is in the supabase_realtime publication so
+// other devices pick up changes live (OllyEngine.Portfolio). The table and its
+// policies are in supabase/portfolios.sql.
+
+import { supabaseAdminFetch } from './admin.js';
+
+const TABLE = '/rest/v1/portfolios';
+
+export async function getPortfolio(userId) {
+  const rows = await supabaseAdminFetch(`${TABLE}?user_id=eq.${encodeURIComponent(userId)}&select=items`);
+  return rows?.[0]?.items || [];
+}
+
+// user_id -> items for every user with a saved portfolio
+export async function getAllPortfolios() {
+  const rows = await supabaseAdminFetch(`${TABLE}?select=user_id,items`);
+  return new Map((rows || []).map((row) => [row.user_id, row.items || []]));
+}
@@ -0,0 +1,104 @@
+// RFC 4226 (HOTP) / RFC 6238 (TOTP) for OllyPass, using HMAC-SHA1, 6 digits
+// and 30-second steps so any standard authenticator app produces matching codes.
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+export function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character in secret.');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, the length RFC 4226 recommends for HMAC-SHA1
+export function generateSecret(byteLength = 20) {
+  return base32Encode(crypto.randomBytes(byteLength));
+}
+
+export function hotp(secret, counter, digits = DIGITS) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+export function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+export function totp(secret, now = Date.now()) {
+  return hotp(secret, timeStep(now));
+}
+
+// Returns the matching time step, or null. Accepts one step of clock drift
+// either way; steps at or before `afterStep` are refused so a code can't be
+// replayed once it has been used.
+export function verifyTotp(secret, token, { now = Date.now(), window = 1, afterStep = -1 } = {}) {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const current = timeStep(now);
+  for (let drift = -window; drift <= window; drift++) {
+    const step = current + drift;
+    if (step <= afterStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+export function otpauthUrl(secret, account, issuer = 'OllyTracker') {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+// One-time recovery codes, shown once as "xxxx-xxxx" and stored only as hashes
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const code = base32Encode(crypto.randomBytes(5)).toLowerCase();
+    return `${code.slice(0, 4)}-${code.slice(4, 8)}`;
+  });
+}
+
+export function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
@@ -0,0 +1,128 @@
+// The OllyDaily waiting list, kept in `waiting_list` and reached only through
+// the service role (anonymous inserts are no longer allowed; the columns and
+// policy cleanup are in supabase/waiting_list.sql):
+//
+//   id                 uuid primary key default gen_random_uuid()
+//   email              text, stored lower-case, unique
+//   fullname           text
+//   organization       text
+//   source             text          utm_source, else a name for the referrer
+//   referrer           text
+//   utm_source, utm_medium, utm_campaign, utm_term, utm_content   text
+//   status             text          pending -> confirmed -> approved | rejected
+//   confirm_token_hash text          sha256 of the emailed confirmation token
+//   confirm_sent_at    timestamptz
+//   confirmed_at       timestamptz
+//   approved_at        timestamptz
+//   approved_by        text          admin email
+//   user_id            uuid          the auth user created on approval
+//   created_at         timestamptz default now()
+//
+// Rows from before confirmation existed have no status and are treated as
+// pending.
+
+import crypto from 'crypto';
+import { supabaseAdminFetch } from './admin.js';
+
+const TABLE = '/rest/v1/waiting_list';
+
+export const STATUSES = ['pending', 'confirmed', 'approved', 'rejected'];
+export const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+export const CONFIRM_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Referrer host -> source name, for visitors without UTM tags
+const REFERRER_SOURCES = [
+  [/(^|\.)(twitter\.com|x\.com|t\.co)$/, 'X'],
+  [/(^|\.)(linkedin\.com|lnkd\.in)$/, 'LinkedIn'],
+  [/(^|\.)google\./, 'Google'],
+  [/(^|\.)bing\.com$/, 'Bing'],
+  [/(^|\.)(facebook\.com|fb\.com)$/, 'Facebook'],
+  [/(^|\.)reddit\.com$/, 'Reddit']
+];
+
+export function normalizeEmail(email) {
+  const clean = String(email || '').trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(clean) && clean.length <= 254 ? clean : null;
+}
+
+export function classifySource(referrer, utm = {}) {
+  if (utm.utm_source) return utm.utm_source;
+  let host;
+  try {
+    host = new URL(referrer).hostname.toLowerCase();
+  } catch (err) {
+    return 'direct';
+  }
+  const known = REFERRER_SOURCES.find(([pattern]) => pattern.test(host));
+  return known ? known[1] : host.replace(/^www\./, '');
+}
+
+export function statusOf(entry) {
+  return entry.status || 'pending';
+}
+
+export function createConfirmToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token) };
+}
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function findOne(filter) {
+  const rows = await supabaseAdminFetch(`${TABLE}?${filter}&select=*&limit=1`);
+  return rows?.[0] || null;
+}
+
+export function findByEmail(email) {
+  return findOne(`email=eq.${encodeURIComponent(email)}`);
+}
+
+export function findByTokenHash(hash) {
+  return findOne(`confirm_token_hash=eq.${hash}`);
+}
+
+export function getEntry(id) {
+  return findOne(`id=eq.${encodeURIComponent(id)}`);
+}
+
+export async function insertEntry(fields) {
+  const rows = await supabaseAdminFetch(TABLE, {
+    method: 'POST',
+    headers: { Prefer: 'return=representation' },
+    body: JSON.stringify(fields)
+  });
+  return rows?.[0] || null;
+}
+
+export async function updateEntry(id, fields) {
+  const rows = await supabaseAdminFetch(`${TABLE}?id=eq.${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: { Prefer: 'return=representation' },
+    body: JSON.stringify(fields)
+  });
+  return rows?.[0] || null;
+}
+
+export function listEntries() {
+  return supabaseAdminFetch(`${TABLE}?select=*&order=created_at.desc`);
+}
+
+// The shape the admin console works with
+export function summarizeEntry(entry) {
+  return {
+    id: entry.id,
+    email: entry.email,
+    fullName: entry.fullname || '',
+    organization: entry.organization || '',
+    source: entry.source || 'direct',
+    referrer: entry.referrer || null,
+    utm: Object.fromEntries(UTM_FIELDS.filter((field) => entry[field]).map((field) => [field, entry[field]])),
+    status: statusOf(entry),
+    createdAt: entry.created_at,
+    confirmedAt: entry.confirmed_at || null,
+    approvedAt: entry.approved_at || null,
+    approvedBy: entry.approved_by || null
+  };
+}
@@ -0,0 +1,24 @@
+// This is a Vercel Serverless Function.
+// Tells a page what the signed-in user may use (see _lib/access.js):
+//
+//   GET /api/access  -> { email, role, status, trialEnds, features }
+//
+// Olly.protectPage calls this before a page loads and sends suspended
+// accounts, expired trials and out-of-tier pages to /upgrade.html. Sessions
+// that haven't passed OllyPass get a 403 OLLYPASS_REQUIRED and go back to
+// /login.html.
+
+import { sendError } from './_lib/http.js';
+import { requireVerifiedUser, resolveAccess } from './_lib/access.js';
+
+export default async function handler(request, response) {
+  if (request.method !== 'GET') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const user = await requireVerifiedUser(request, response);
+  if (!user) return;
+
+  response.setHeader('Cache-Control', 'no-store');
+  return response.status(200).json(resolveAccess(user));
+}
@@ -0,0 +1,60 @@
+// This is a Vercel Serverless Function.
+// Admin user directory:
+//
+//   GET /api/admin/users?q=doj&sort=trialEnds&order=asc&page=1&perPage=25
+//     -> { users: [...], total, page, perPage }
+//
+// Search matches email, name, team, organization and role. Sorting and paging
+// happen here because GoTrue's admin list only pages by creation order.
+
+import { sendError } from '../_lib/http.js';
+import { requireAdmin, listAllUsers, summarizeUser, sendAdminError } from '../_lib/admin.js';
+
+const SORT_FIELDS = ['email', 'fullName', 'team', 'organization', 'role', 'status', 'trialEnds', 'createdAt', 'lastSignInAt'];
+const MAX_PER_PAGE = 100;
+
+export default async function handler(request, response) {
+  if (request.method !== 'GET') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const admin = await requireAdmin(request, response);
+  if (!admin) return;
+
+  const q = String(request.query.q || '').trim().toLowerCase();
+  const sort = SORT_FIELDS.includes(request.query.sort) ? request.query.sort : 'createdAt';
+  const order = request.query.order === 'asc' ? 1 : -1;
+  const perPage = Math.min(MAX_PER_PAGE, Math.max(1, parseInt(request.query.perPage, 10) || 25));
+  const page = Math.max(1, parseInt(request.query.page, 10) || 1);
+
+  try {
+    let users = (await listAllUsers()).map(summarizeUser);
+
+    if (q) {
+      users = users.filter((user) =>
+        [user.email, user.fullName, user.team, user.organization, user.role, user.status]
+          .some((value) => String(value || '').toLowerCase().includes(q))
+      );
+    }
+
+    // Empty values sort last in either direction
+    users.sort((a, b) => {
+      const left = a[sort] ?? '';
+      const right = b[sort] ?? '';
+      if (left === right) return 0;
+      if (left === '') return 1;
+      if (right === '') return -1;
+      return String(left).localeCompare(String(right)) * order;
+    });
+
+    response.setHeader('Cache-Control', 'no-store');
+    return response.status(200).json({
+      users: users.slice((page - 1) * perPage, page * perPage),
+      total: users.length,
+      page,
+      perPage
+    });
+  } catch (error) {
+    return sendAdminError(response, error);
+  }
+}
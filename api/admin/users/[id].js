@@ -0,0 +1,130 @@
+// This is a Vercel Serverless Function.
+// Admin actions on one user:
+//
+//   POST /api/admin/users/:id  { action: 'reset-mfa' }
+//   POST /api/admin/users/:id  { action: 'revoke-devices' }
+//   POST /api/admin/users/:id  { action: 'suspend', days: 30 }
+//   POST /api/admin/users/:id  { action: 'reinstate' }
+//   POST /api/admin/users/:id  { action: 'revoke' }
+//   POST /api/admin/users/:id  { action: 'extend-trial', days: 14 }
+//   POST /api/admin/users/:id  { action: 'set-role', role: 'analyst' }
+//   POST /api/admin/users/:id  { action: 'set-team', organization: 'Acme Capital' }
+//
+// Responds with the updated user in the same shape as /api/admin/users.
+
+import { sendError } from '../../_lib/http.js';
+import {
+  ROLES,
+  requireAdmin,
+  getAuthUser,
+  updateAuthUser,
+  summarizeUser,
+  getTrialEnds,
+  sendAdminError
+} from '../../_lib/admin.js';
+import { deleteFactor } from '../../_lib/ollypass.js';
+import { revokeAllDevices } from '../../_lib/devices.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERMANENT_BAN = '876000h'; // ~100 years, GoTrue has no "forever"
+
+function parseDays(value, fallback) {
+  const days = parseInt(value, 10);
+  return Number.isFinite(days) && days > 0 && days <= 365 ? days : fallback;
+}
+
+// action -> (user, body) => GoTrue admin update, or throws a 400 message.
+// GoTrue merges metadata keys, and a null value removes one.
+const ACTIONS = {
+  'reset-mfa': () => ({
+    user_metadata: { ollypass_secret: null, trusted_devices: null },
+    app_metadata: { mfa_enabled: false }
+  }),
+
+  'revoke-devices': () => ({
+    user_metadata: { trusted_devices: null }
+  }),
+
+  suspend: (user, body) => ({
+    ban_duration: `${parseDays(body.days, 30) * 24}h`
+  }),
+
+  // A user suspended through their role comes back as a trial
+  reinstate: (user) => ({
+    ban_duration: 'none',
+    app_metadata: { status: 'active', ...(user.app_metadata?.role === 'suspended' ? { role: 'trial' } : {}) }
+  }),
+
+  revoke: () => ({
+    ban_duration: PERMANENT_BAN,
+    app_metadata: { status: 'revoked' }
+  }),
+
+  'extend-trial': (user, body) => {
+    const current = Date.parse(getTrialEnds(user) || '') || 0;
+    const base = Math.max(current, Date.now());
+    return {
+      app_metadata: { trial_ends: new Date(base + parseDays(body.days, 14) * DAY_MS).toISOString() }
+    };
+  },
+
+  'set-role': (user, body) => {
+    if (!ROLES.includes(body.role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}.`);
+    }
+    return { app_metadata: { role: body.role } };
+  },
+
+  // The team is what watchlist sharing trusts; the organization users type
+  // at sign-up is only a hint, since they can change it themselves
+  'set-team': (user, body) => {
+    const organization = String(body.organization ?? '').trim().slice(0, 200);
+    return { app_metadata: { organization: organization || null } };
+  }
+};
+
+export default async function handler(request, response) {
+  if (request.method !== 'POST') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const admin = await requireAdmin(request, response);
+  if (!admin) return;
+
+  const { id } = request.query;
+  const body = request.body || {};
+  const action = ACTIONS[body.action];
+
+  if (!id) {
+    return sendError(response, 400, 'INVALID_USER', 'A user id is required.');
+  }
+  if (!action) {
+    return sendError(response, 400, 'UNKNOWN_ACTION', `Action "${body.action}" is not available.`, {
+      allowed: Object.keys(ACTIONS)
+    });
+  }
+  // Admins can't lock themselves out
+  if (id === admin.id && ['suspend', 'revoke', 'set-role'].includes(body.action)) {
+    return sendError(response, 400, 'SELF_ACTION', 'You cannot suspend, revoke or change the role of your own account.');
+  }
+
+  try {
+    const user = await getAuthUser(id);
+
+    let attributes;
+    try {
+      attributes = action(user, body);
+    } catch (error) {
+      return sendError(response, 400, 'INVALID_REQUEST', error.message);
+    }
+
+    // The OllyPass secret, recovery codes and trusted devices live in their own tables
+    if (body.action === 'reset-mfa') await deleteFactor(id);
+    if (['reset-mfa', 'revoke-devices', 'revoke'].includes(body.action)) await revokeAllDevices(id);
+
+    const updated = await updateAuthUser(id, attributes);
+    return response.status(200).json({ user: summarizeUser(updated) });
+  } catch (error) {
+    return sendAdminError(response, error);
+  }
+}
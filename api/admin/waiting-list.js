@@ -0,0 +1,47 @@
+// This is a Vercel Serverless Function.
+// The OllyDaily waiting-list queue for the admin console:
+//
+//   GET /api/admin/waiting-list?status=confirmed&q=acme&page=1&perPage=25
+//
+// Responds with { entries, total, page, perPage, counts } where counts has
+// the number of entries in each status. The list is small enough to filter
+// and page here, like /api/admin/users.
+
+import { sendError } from '../_lib/http.js';
+import { requireAdmin, sendAdminError } from '../_lib/admin.js';
+import { STATUSES, listEntries, summarizeEntry } from '../_lib/waitlist.js';
+
+const MAX_PER_PAGE = 100;
+
+export default async function handler(request, response) {
+  if (request.method !== 'GET') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const admin = await requireAdmin(request, response);
+  if (!admin) return;
+
+  const status = STATUSES.includes(request.query.status) ? request.query.status : null;
+  const q = String(request.query.q || '').trim().toLowerCase();
+  const perPage = Math.min(MAX_PER_PAGE, Math.max(1, parseInt(request.query.perPage, 10) || 25));
+  const page = Math.max(1, parseInt(request.query.page, 10) || 1);
+
+  try {
+    const all = (await listEntries()).map(summarizeEntry);
+    const counts = Object.fromEntries(STATUSES.map((key) => [key, all.filter((entry) => entry.status === key).length]));
+
+    const matches = all.filter((entry) => (!status || entry.status === status)
+      && (!q || [entry.email, entry.fullName, entry.organization, entry.source, ...Object.values(entry.utm)]
+        .some((value) => String(value || '').toLowerCase().includes(q))));
+
+    return response.status(200).json({
+      entries: matches.slice((page - 1) * perPage, page * perPage),
+      total: matches.length,
+      page,
+      perPage,
+      counts
+    });
+  } catch (error) {
+    return sendAdminError(response, error);
+  }
+}
@@ -0,0 +1,134 @@
+// This is a Vercel Serverless Function.
+// Admin decisions on one waiting-list entry:
+//
+//   POST /api/admin/waiting-list/:id  { action: 'approve', trialDays: 45 }
+//   POST /api/admin/waiting-list/:id  { action: 'reject' }
+//
+// Only confirmed signups can be approved. Approving creates the auth user as a trial (app_metadata.trial_ends),
+// and emails an invite link through the mail transport. The link signs them
+// in on login.html, where they choose a password and set up OllyPass.
+
+import { sendError, siteOrigin } from '../../_lib/http.js';
+import {
+  TRIAL_DAYS,
+  requireAdmin,
+  supabaseAdminFetch,
+  updateAuthUser,
+  sendAdminError,
+  AdminApiError
+} from '../../_lib/admin.js';
+import { sendMail, escapeHtml, MailError } from '../../_lib/mail.js';
+import { getEntry, updateEntry, statusOf, summarizeEntry } from '../../_lib/waitlist.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDays(value, fallback) {
+  const days = parseInt(value, 10);
+  return Number.isFinite(days) && days > 0 && days <= 365 ? days : fallback;
+}
+
+// GoTrue creates the user and returns the invite link without sending
+// its own email
+async function createInvitedUser(request, entry) {
+  try {
+    return await supabaseAdminFetch('/auth/v1/admin/generate_link', {
+      method: 'POST',
+      body: JSON.stringify({
+        type: 'invite',
+        email: entry.email,
+        data: { fullname: entry.fullname || '', organization: entry.organization || '' },
+        redirect_to: `${siteOrigin(request)}/login.html`
+      })
+    });
+  } catch (error) {
+    if (error instanceof AdminApiError && error.upstreamStatus === 422) {
+      throw new AdminApiError(409, 'ALREADY_REGISTERED', `${entry.email} already has an OllyTracker account.`);
+    }
+    throw error;
+  }
+}
+
+function sendInvite(entry, link, trialEnds) {
+  const name = entry.fullname || 'there';
+  const ends = new Date(trialEnds).toDateString();
+  return sendMail({
+    to: entry.email,
+    subject: 'Your OllyTracker invitation',
+    text: `Hi ${name},\n\nYou're in. Your OllyTracker trial runs until ${ends}.\n\n`
+      + `Accept your invitation and choose a password:\n${link}\n\nOllyTracker`,
+    html: `<p>Hi ${escapeHtml(name)},</p>
+<p>You're in. Your OllyTracker trial runs until ${escapeHtml(ends)}.</p>
+<p><a href="${escapeHtml(link)}">Accept your invitation</a> and choose a password.</p>
+<p>OllyTracker</p>`
+  });
+}
+
+async function approve(request, response, admin, entry, body) {
+  const trialEnds = new Date(Date.now() + parseDays(body.trialDays, TRIAL_DAYS) * DAY_MS).toISOString();
+
+  const invite = await createInvitedUser(request, entry);
+  const userId = invite.id || invite.user?.id;
+  await updateAuthUser(userId, { app_metadata: { role: 'trial', trial_ends: trialEnds } });
+
+  const updated = await updateEntry(entry.id, {
+    status: 'approved',
+    approved_at: new Date().toISOString(),
+    approved_by: admin.email,
+    user_id: userId
+  });
+
+  try {
+    await sendInvite(entry, invite.action_link, trialEnds);
+  } catch (error) {
+    if (!(error instanceof MailError)) throw error;
+    // The account exists now, so hand the admin the link to pass on
+    return sendError(response, 502, error.code, `Account created, but the invite email failed: ${error.message}`, {
+      entry: summarizeEntry(updated),
+      inviteLink: invite.action_link
+    });
+  }
+
+  return response.status(200).json({ entry: summarizeEntry(updated), trialEnds });
+}
+
+export default async function handler(request, response) {
+  if (request.method !== 'POST') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const admin = await requireAdmin(request, response);
+  if (!admin) return;
+
+  const { id } = request.query;
+  const body = request.body || {};
+  if (!id) {
+    return sendError(response, 400, 'INVALID_ENTRY', 'A waiting-list entry id is required.');
+  }
+  if (!['approve', 'reject'].includes(body.action)) {
+    return sendError(response, 400, 'UNKNOWN_ACTION', `Action "${body.action}" is not available.`, {
+      allowed: ['approve', 'reject']
+    });
+  }
+
+  try {
+    const entry = await getEntry(id);
+    if (!entry) {
+      return sendError(response, 404, 'NOT_FOUND', 'That waiting-list entry does not exist.');
+    }
+    if (statusOf(entry) === 'approved') {
+      return sendError(response, 409, 'ALREADY_APPROVED', `${entry.email} has already been approved.`);
+    }
+    if (body.action === 'approve' && statusOf(entry) !== 'confirmed') {
+      return sendError(response, 409, 'NOT_CONFIRMED', `${entry.email} has not confirmed their email address.`);
+    }
+
+    if (body.action === 'approve') {
+      return await approve(request, response, admin, entry, body);
+    }
+
+    const updated = await updateEntry(entry.id, { status: 'rejected' });
+    return response.status(200).json({ entry: summarizeEntry(updated) });
+  } catch (error) {
+    return sendAdminError(response, error);
+  }
+}
@@ -0,0 +1,144 @@
+// This is a Vercel Serverless Function.
+// It sends the OllyDaily digest for the prior trading day. Vercel Cron calls
+// it on weekday mornings (see vercel.json) with "Authorization: Bearer
+// $CRON_SECRET"; admins can also call it with their session:
+//
+//   GET /api/cron/ollydaily                    -> build, archive and mail every digest
+//   GET /api/cron/ollydaily?date=2026-10-16    -> a specific trading day (admins)
+//   GET /api/cron/ollydaily?dryRun=1           -> build only, nothing archived or sent (admins)
+//   GET /api/cron/ollydaily?fixture=1          -> the caller's digest rendered from
+//                                                 data/ollydaily/fixture-day.json (admins)
+//
+// Recipients are active accounts whose tier includes 'daily' and who haven't
+// turned the digest off. Users already mailed for the day are skipped, so a
+// retried run only sends what's missing.
+
+import { sendError, mapUpstreamStatus, siteOrigin, isCronRequest } from '../_lib/http.js';
+import { requireAdmin, listAllUsers, sendAdminError, AdminApiError } from '../_lib/admin.js';
+import { resolveAccess } from '../_lib/access.js';
+import { getAllPortfolios, getPortfolio } from '../_lib/portfolio.js';
+import { sendMail } from '../_lib/mail.js';
+import { normalizeDay, buildDigest, digestSubject, renderDigestHtml, renderDigestText } from '../_lib/digest.js';
+import {
+  DigestError,
+  previousTradingDay,
+  isValidDate,
+  fetchDay,
+  saveDigest,
+  markDigestSent,
+  sentUserIds
+} from '../_lib/ollydaily.js';
+
+const FIXTURE_PATH = '/data/ollydaily/fixture-day.json';
+const ARCHIVE_PAGE = '/ollydaily-archive.html';
+
+function wantsDigest(user) {
+  const access = resolveAccess(user);
+  return Boolean(user.email)
+    && access.status === 'active'
+    && access.features.includes('daily')
+    && !user.user_metadata?.ollydaily_unsubscribed;
+}
+
+function renderFor(day, portfolio, user, origin) {
+  const digest = buildDigest(day, portfolio, {
+    user: { email: user.email },
+    archiveUrl: `${origin}${ARCHIVE_PAGE}?date=${day.date}`
+  });
+  return {
+    subject: digestSubject(digest),
+    html: renderDigestHtml(digest),
+    text: renderDigestText(digest),
+    stats: digest.stats
+  };
+}
+
+// The admin's own digest from bundled fixture filings, for checking the
+// rendering without spending sec-api calls
+async function sendFixturePreview(request, response, admin) {
+  const origin = siteOrigin(request);
+  const fixtureResponse = await fetch(`${origin}${FIXTURE_PATH}`);
+  if (!fixtureResponse.ok) {
+    return sendError(response, 502, 'FIXTURE_UNAVAILABLE', `Could not load ${FIXTURE_PATH} (HTTP ${fixtureResponse.status}).`);
+  }
+  const fixture = await fixtureResponse.json();
+  const saved = await getPortfolio(admin.id);
+  const portfolio = saved.length > 0 ? saved : fixture.portfolio || [];
+  return response.status(200).json({ date: fixture.date, ...renderFor(normalizeDay(fixture), portfolio, admin, origin) });
+}
+
+async function runDigest(request, { date, dryRun }) {
+  const origin = siteOrigin(request);
+  const [users, portfolios, alreadySent] = await Promise.all([
+    listAllUsers(),
+    getAllPortfolios(),
+    dryRun ? new Set() : sentUserIds(date)
+  ]);
+
+  const recipients = users.filter((user) => wantsDigest(user) && !alreadySent.has(user.id));
+  const recipientPortfolios = new Map(recipients.map((user) => [user.id, portfolios.get(user.id) || []]));
+  const day = normalizeDay(await fetchDay(date, recipientPortfolios));
+
+  const result = { date, dryRun, truncated: day.truncated, recipients: recipients.length, sent: 0, skipped: alreadySent.size, failed: [], previews: [] };
+  for (const user of recipients) {
+    const rendered = renderFor(day, recipientPortfolios.get(user.id), user, origin);
+    if (dryRun) {
+      result.previews.push({ email: user.email, subject: rendered.subject });
+      continue;
+    }
+
+    // Archive first, so the web copy exists even when the email fails. One
+    // user's failure doesn't stop the rest; failures are reported by user id
+    // so the response (and the cron log) carries no addresses.
+    try {
+      await saveDigest(user.id, date, { ...rendered, sent_at: null });
+      await sendMail({ to: user.email, subject: rendered.subject, text: rendered.text, html: rendered.html });
+      await markDigestSent(user.id, date);
+      result.sent++;
+    } catch (error) {
+      console.error(`OllyDaily digest for user ${user.id} failed`, error);
+      result.failed.push({ userId: user.id, error: error.message });
+    }
+  }
+  return result;
+}
+
+export default async function handler(request, response) {
+  if (request.method !== 'GET') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const fromCron = isCronRequest(request);
+  let admin = null;
+  if (!fromCron) {
+    admin = await requireAdmin(request, response);
+    if (!admin) return;
+  }
+
+  // Cron runs always cover the prior trading day
+  const { date, dryRun, fixture } = fromCron ? {} : request.query;
+  if (date !== undefined && !isValidDate(date)) {
+    return sendError(response, 400, 'INVALID_DATE', 'date must be a YYYY-MM-DD trading day.');
+  }
+
+  try {
+    if (admin && fixture === '1') {
+      return await sendFixturePreview(request, response, admin);
+    }
+    const result = await runDigest(request, {
+      date: date || previousTradingDay(),
+      dryRun: Boolean(admin) && dryRun === '1'
+    });
+    return response.status(200).json(result);
+  } catch (error) {
+    if (error instanceof DigestError) {
+      if (error.upstreamStatus) {
+        const { status, code } = mapUpstreamStatus(error.upstreamStatus);
+        return sendError(response, status, code, error.message);
+      }
+      return sendError(response, 500, 'NOT_CONFIGURED', error.message);
+    }
+    if (error instanceof AdminApiError) return sendAdminError(response, error);
+    return sendError(response, 500, 'INTERNAL_ERROR', `An internal server error occurred: ${error.message}`);
+  }
+}
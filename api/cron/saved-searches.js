@@ -0,0 +1,111 @@
+// This is a Vercel Serverless Function.
+// It re-runs saved full-text searches that are due (see FREQUENCIES in
+// _lib/fulltext.js) and records filings they hadn't matched before. Vercel
+// Cron calls it hourly (see vercel.json) with "Authorization: Bearer
+// $CRON_SECRET"; admins can also call it with their session:
+//
+//   GET /api/cron/saved-searches            -> run every due search
+//   GET /api/cron/saved-searches?dryRun=1   -> report what's due, change nothing (admins)
+//
+// New hits are kept on the search for the page to show and, when the search
+// has `notify` set, emailed to its owner. Owners whose account is no longer
+// active are skipped. A run reads at most MAX_RUN_PAGES pages of results;
+// searches cut short are flagged on the row and listed under `truncated`.
+
+import { sendError, siteOrigin, isCronRequest } from '../_lib/http.js';
+import { requireAdmin, listAllUsers, sendAdminError, AdminApiError } from '../_lib/admin.js';
+import { resolveAccess } from '../_lib/access.js';
+import { sendMail } from '../_lib/mail.js';
+import {
+  SearchError,
+  listDueSearches,
+  runAllPages,
+  mergeRun,
+  updateSavedSearch,
+  renderAlertText,
+  renderAlertHtml
+} from '../_lib/fulltext.js';
+
+// Filings can reach the full-text index a day or two after they're filed,
+// so each run looks back this far and relies on `seen` to skip repeats
+const LOOKBACK_DAYS = 3;
+
+// The saved dates still apply; a search whose range has ended finds nothing new
+function recentWindow(search, now) {
+  const since = new Date(now - LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const startDate = search.startDate && search.startDate > since ? search.startDate : since;
+  return { ...search, startDate, endDate: search.endDate || new Date(now).toISOString().slice(0, 10) };
+}
+
+async function runSaved(saved, owner, origin, now) {
+  const search = recentWindow(saved.search, now);
+  if (search.startDate > search.endDate) {
+    await updateSavedSearch(saved.id, { last_run_at: new Date(now).toISOString(), last_run_truncated: false });
+    return { fresh: [], mailed: false, truncated: false };
+  }
+
+  const { filings, truncated } = await runAllPages(search);
+  const { fresh, fields } = mergeRun(saved, filings, new Date(now));
+  await updateSavedSearch(saved.id, { ...fields, last_run_truncated: truncated });
+
+  if (fresh.length === 0 || !saved.notify || !owner.email) return { fresh, mailed: false, truncated };
+  const link = `${origin}/?search=${encodeURIComponent(saved.id)}`;
+  await sendMail({
+    to: owner.email,
+    subject: `🔎 ${fresh.length} new filing${fresh.length === 1 ? '' : 's'} for "${saved.name}"`,
+    text: renderAlertText(saved, fresh, link),
+    html: renderAlertHtml(saved, fresh, link)
+  });
+  return { fresh, mailed: true, truncated };
+}
+
+async function runDue(request, { dryRun }) {
+  const now = Date.now();
+  const [due, users] = await Promise.all([listDueSearches(now), listAllUsers()]);
+  const owners = new Map(users.map((user) => [user.id, user]));
+  const origin = siteOrigin(request);
+
+  const result = { dryRun, due: due.length, run: 0, newHits: 0, mailed: 0, skipped: 0, truncated: [], failed: [] };
+  for (const saved of due) {
+    const owner = owners.get(saved.user_id);
+    const access = owner ? resolveAccess(owner) : null;
+    if (!access || access.status !== 'active' || !access.features.includes('stream')) {
+      result.skipped++;
+      continue;
+    }
+    if (dryRun) continue;
+
+    try {
+      const { fresh, mailed, truncated } = await runSaved(saved, owner, origin, now);
+      result.run++;
+      result.newHits += fresh.length;
+      if (mailed) result.mailed++;
+      if (truncated) result.truncated.push(saved.id);
+    } catch (error) {
+      console.error(`Saved search ${saved.id} failed`, error);
+      result.failed.push({ id: saved.id, error: error.message });
+    }
+  }
+  return result;
+}
+
+export default async function handler(request, response) {
+  if (request.method !== 'GET') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const fromCron = isCronRequest(request);
+  if (!fromCron) {
+    const admin = await requireAdmin(request, response);
+    if (!admin) return;
+  }
+
+  try {
+    const result = await runDue(request, { dryRun: !fromCron && request.query.dryRun === '1' });
+    return response.status(200).json(result);
+  } catch (error) {
+    if (error instanceof SearchError) return sendError(response, error.status, error.code, error.message);
+    if (error instanceof AdminApiError) return sendAdminError(response, error);
+    return sendError(response, 500, 'INTERNAL_ERROR', `An internal server error occurred: ${error.message}`);
+  }
+}
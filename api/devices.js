@@ -0,0 +1,64 @@
+// This is a Vercel Serverless Function.
+// The signed-in user's OllyPass trusted devices:
+//
+//   GET  /api/devices                                -> { devices: [...] }
+//   POST /api/devices  { action: 'revoke', id }      -> { devices: [...] }
+//   POST /api/devices  { action: 'revoke-all' }      -> { devices: [] }
+//
+// Revoking a device cuts off its API access at once (requireVerifiedUser
+// checks the device on every call); it has to pass OllyPass again to get back.
+
+import { sendError } from './_lib/http.js';
+import { requireVerifiedUser } from './_lib/access.js';
+import { sendAdminError } from './_lib/admin.js';
+import {
+  listDevices,
+  revokeDevice,
+  revokeAllDevices,
+  isCurrentDevice,
+  summarizeDevice,
+  clearDeviceCookie
+} from './_lib/devices.js';
+
+async function sendDevices(request, response, userId) {
+  const devices = await listDevices(userId);
+  return response.status(200).json({ devices: devices.map((device) => summarizeDevice(device, request)) });
+}
+
+export default async function handler(request, response) {
+  if (request.method !== 'GET' && request.method !== 'POST') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const user = await requireVerifiedUser(request, response);
+  if (!user) return;
+
+  try {
+    if (request.method === 'GET') {
+      return await sendDevices(request, response, user.id);
+    }
+
+    const body = request.body || {};
+    if (body.action === 'revoke') {
+      if (!body.id) {
+        return sendError(response, 400, 'INVALID_DEVICE', 'A device id is required.');
+      }
+      const revoked = await revokeDevice(user.id, body.id);
+      if (!revoked?.length) {
+        return sendError(response, 404, 'NOT_FOUND', 'That device is not trusted on this account.');
+      }
+      if (isCurrentDevice(request, revoked[0])) clearDeviceCookie(response);
+    } else if (body.action === 'revoke-all') {
+      await revokeAllDevices(user.id);
+      clearDeviceCookie(response);
+    } else {
+      return sendError(response, 400, 'UNKNOWN_ACTION', `Action "${body.action}" is not available.`, {
+        allowed: ['revoke', 'revoke-all']
+      });
+    }
+
+    return await sendDevices(request, response, user.id);
+  } catch (error) {
+    return sendAdminError(response, error);
+  }
+}
@@ -0,0 +1,99 @@
+// This is a Vercel Serverless Function.
+// It finds the passages of a filing that match a full-text query, for the
+// highlighted snippets on the search results (sec-api's full-text search
+// only says which documents match, not where):
+//
+//   GET /api/filing-snippets?url=<sec.gov document URL>&q=<query>
+//       -> { snippets: [[{ text, hit }]], truncated }
+//
+// Only documents under https://www.sec.gov/Archives/ are fetched, and only
+// their first MAX_DOCUMENT_BYTES (truncated says whether more was left
+// unread). Documents are cached briefly per instance since a results page
+// asks for many snippets from the same few filings as the query is refined.
+
+import { sendError, readUpstreamError } from './_lib/http.js';
+import { requireAccess } from './_lib/access.js';
+import { documentText, extractSnippets } from './_lib/fulltext.js';
+
+const DOCUMENT_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHED = 20;
+const MAX_QUERY_LENGTH = 500;
+const MAX_DOCUMENT_BYTES = 2 * 1024 * 1024;
+
+const documents = new Map(); // url -> { text, truncated, fetchedAt }
+
+function archiveUrl(value) {
+  try {
+    const url = new URL(String(value || ''));
+    return url.protocol === 'https:' && url.hostname === 'www.sec.gov' && url.pathname.startsWith('/Archives/')
+      ? url.toString()
+      : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Reads at most `limit` bytes of a response body -> { body, truncated }.
+// Content-Length can be missing or wrong, so the stream itself is counted.
+async function readCapped(apiResponse, limit) {
+  const reader = apiResponse.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size <= limit) {
+    const { done, value } = await reader.read();
+    if (done) return { body: Buffer.concat(chunks).toString('utf8'), truncated: false };
+    chunks.push(value);
+    size += value.length;
+  }
+  reader.cancel().catch(() => {});
+  return { body: Buffer.concat(chunks).subarray(0, limit).toString('utf8'), truncated: true };
+}
+
+async function getDocumentText(url) {
+  const cached = documents.get(url);
+  if (cached && Date.now() - cached.fetchedAt < DOCUMENT_TTL_MS) return cached;
+
+  const apiResponse = await fetch(url, {
+    headers: { 'User-Agent': process.env.SEC_USER_AGENT || 'OllyTracker filing-snippets' }
+  });
+  if (!apiResponse.ok) {
+    const error = new Error(`sec.gov returned ${apiResponse.status}: ${await readUpstreamError(apiResponse)}`);
+    error.upstreamStatus = apiResponse.status;
+    throw error;
+  }
+  const { body, truncated } = await readCapped(apiResponse, MAX_DOCUMENT_BYTES);
+  const entry = { text: documentText(body), truncated, fetchedAt: Date.now() };
+
+  if (documents.size >= MAX_CACHED) documents.delete(documents.keys().next().value);
+  documents.set(url, entry);
+  return entry;
+}
+
+export default async function handler(request, response) {
+  if (request.method !== 'GET') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const user = await requireAccess(request, response, ['stream']);
+  if (!user) return;
+
+  const url = archiveUrl(request.query.url);
+  if (!url) {
+    return sendError(response, 400, 'INVALID_URL', 'url must be a document under https://www.sec.gov/Archives/.');
+  }
+  const query = String(request.query.q || '').trim();
+  if (!query || query.length > MAX_QUERY_LENGTH) {
+    return sendError(response, 400, 'INVALID_QUERY', `q is required and limited to ${MAX_QUERY_LENGTH} characters.`);
+  }
+
+  try {
+    const { text, truncated } = await getDocumentText(url);
+    response.setHeader('Cache-Control', 'private, max-age=600');
+    return response.status(200).json({ snippets: extractSnippets(text, query), truncated });
+  } catch (error) {
+    if (error.upstreamStatus === 404) {
+      return sendError(response, 404, 'UPSTREAM_NOT_FOUND', error.message);
+    }
+    return sendError(response, 502, 'UPSTREAM_ERROR', `Failed to read the filing: ${error.message}`);
+  }
+}
@@ -1,48 +1,172 @@
 // This is a Vercel Serverless Function.
-// It acts as a secure proxy to the finnhub.io service for stock quotes.
+// It acts as a secure, cached quote service in front of finnhub.io.
+//
+//   GET /api/finnhub?ticker=AAPL          -> raw Finnhub quote for one ticker
+//   GET /api/finnhub?tickers=AAPL,MSFT    -> { quotes: { AAPL: {...} }, errors: { ... } }
+//
+// Quotes are cached briefly per instance, concurrent requests for the same
+// ticker share one upstream call, and a 429 from Finnhub pauses upstream
+// traffic (serving stale quotes where we have them) until it is safe again.
+// Responses are private: a shared edge cache would hand quotes to callers
+// the access check never saw.
+
+import { sendError } from './_lib/http.js';
+import { requireAccess } from './_lib/access.js';
+
+const QUOTE_TTL_MS = 15000;
+const MAX_BATCH = 50;
+const UPSTREAM_CONCURRENCY = 4;
+const MAX_BACKOFF_MS = 60000;
+
+const quoteCache = new Map(); // ticker -> { data, fetchedAt }
+const inFlight = new Map();   // ticker -> Promise<{ data, source }>
+const backoff = { until: 0, attempts: 0 };
+
+class QuoteError extends Error {
+  constructor(status, code, message, retryAfter) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function normalizeTicker(ticker) {
+  const clean = String(ticker || '').trim().toUpperCase();
+  return /^[A-Z0-9.\-]{1,10}$/.test(clean) ? clean : null;
+}
+
+function retryAfterSeconds() {
+  return Math.max(1, Math.ceil((backoff.until - Date.now()) / 1000));
+}
+
+async function fetchUpstream(ticker, apiKey) {
+  const finnhubUrl = `https://finnhub.io/api/v1/quote?symbol=${encodeURIComponent(ticker)}&token=${apiKey}`;
+  const apiResponse = await fetch(finnhubUrl);
+
+  if (apiResponse.status === 429) {
+    // Honour Retry-After when Finnhub sends it, otherwise back off exponentially
+    const retryAfter = Number(apiResponse.headers.get('retry-after'));
+    backoff.attempts++;
+    const delay = retryAfter > 0
+      ? retryAfter * 1000
+      : Math.min(MAX_BACKOFF_MS, 1000 * 2 ** backoff.attempts);
+    backoff.until = Date.now() + delay;
+    throw new QuoteError(429, 'UPSTREAM_RATE_LIMITED', 'Finnhub rate limit reached.', retryAfterSeconds());
+  }
+
+  if (!apiResponse.ok) {
+    const errorText = await apiResponse.text();
+    throw new QuoteError(502, 'UPSTREAM_ERROR', `Failed to fetch from Finnhub: ${errorText}`);
+  }
+
+  backoff.attempts = 0;
+  const data = await apiResponse.json();
+  quoteCache.set(ticker, { data, fetchedAt: Date.now() });
+  return { data, source: 'miss' };
+}
+
+function getQuote(ticker, apiKey) {
+  const cached = quoteCache.get(ticker);
+  if (cached && Date.now() - cached.fetchedAt < QUOTE_TTL_MS) {
+    return Promise.resolve({ data: cached.data, source: 'hit' });
+  }
+
+  if (Date.now() < backoff.until) {
+    if (cached) return Promise.resolve({ data: cached.data, source: 'stale' });
+    return Promise.reject(new QuoteError(429, 'UPSTREAM_RATE_LIMITED', 'Finnhub rate limit reached.', retryAfterSeconds()));
+  }
+
+  if (!inFlight.has(ticker)) {
+    const request = fetchUpstream(ticker, apiKey)
+      .catch((error) => {
+        // A stale quote beats no quote when the upstream call fails
+        if (cached) return { data: cached.data, source: 'stale' };
+        throw error;
+      })
+      .finally(() => inFlight.delete(ticker));
+    inFlight.set(ticker, request);
+  }
+  return inFlight.get(ticker);
+}
+
+async function getQuotes(tickers, apiKey) {
+  const quotes = {};
+  const errors = {};
+  const queue = [...tickers];
+
+  async function worker() {
+    while (queue.length > 0) {
+      const ticker = queue.shift();
+      try {
+        quotes[ticker] = (await getQuote(ticker, apiKey)).data;
+      } catch (error) {
+        errors[ticker] = { code: error.code || 'UPSTREAM_ERROR', message: error.message };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(UPSTREAM_CONCURRENCY, queue.length) }, worker));
+  return { quotes, errors };
+}
 
 export default async function handler(request, response) {
   // We only allow GET requests to this function.
   if (request.method !== 'GET') {
-    return response.status(405).json({ message: 'Method Not Allowed' });
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
   }
 
-  // Get the Ticker symbol from the URL (e.g., /api/finnhub?ticker=AAPL)
-  const { ticker } = request.query;
-
-  if (!ticker) {
-    return response.status(400).json({ message: 'Ticker symbol is required.' });
-  }
+  const user = await requireAccess(request, response);
+  if (!user) return;
 
   // Get the Finnhub API key securely from Vercel's environment variables.
   const apiKey = process.env.FINNHUB_API_KEY;
-
   if (!apiKey) {
-    // If the key is missing on the server, return an error.
-    return response.status(500).json({ message: 'Finnhub API key is not configured on the server.' });
+    return sendError(response, 500, 'NOT_CONFIGURED', 'Finnhub API key is not configured on the server.');
   }
 
-  try {
-    // Construct the correct Finnhub API URL.
-    const finnhubUrl = `https://finnhub.io/api/v1/quote?symbol=${ticker}&token=${apiKey}`;
-    
-    // Make the actual call to finnhub.io from Vercel's server.
-    const apiResponse = await fetch(finnhubUrl);
-
-    // If the finnhub.io call fails, pass that error back.
-    if (!apiResponse.ok) {
-      const errorText = await apiResponse.text();
-      return response.status(apiResponse.status).json({ message: `Failed to fetch from Finnhub: ${errorText}` });
+  const { ticker, tickers } = request.query;
+
+  // Batch form: /api/finnhub?tickers=AAPL,MSFT,NVDA
+  if (tickers) {
+    const requested = [...new Set(String(tickers).split(',').map(normalizeTicker).filter(Boolean))];
+    if (requested.length === 0) {
+      return sendError(response, 400, 'INVALID_TICKER', 'At least one valid ticker symbol is required.');
+    }
+    if (requested.length > MAX_BATCH) {
+      return sendError(response, 400, 'BATCH_TOO_LARGE', `A batch may contain at most ${MAX_BATCH} tickers.`);
     }
 
-    // If the call was successful, get the JSON data.
-    const data = await apiResponse.json();
-    
-    // Send the data back to the user's browser.
-    return response.status(200).json(data);
+    try {
+      const result = await getQuotes(requested, apiKey);
+      if (Date.now() < backoff.until) {
+        result.retryAfter = retryAfterSeconds();
+      }
+      // Don't let the browser cache a partial batch
+      response.setHeader('Cache-Control', Object.keys(result.errors).length === 0 ? 'private, max-age=15' : 'private, no-store');
+      return response.status(200).json(result);
+    } catch (error) {
+      return sendError(response, 500, 'INTERNAL_ERROR', `An internal server error occurred: ${error.message}`);
+    }
+  }
 
+  // Single form: /api/finnhub?ticker=AAPL
+  const symbol = normalizeTicker(ticker);
+  if (!symbol) {
+    return sendError(response, 400, 'INVALID_TICKER', 'Ticker symbol is required.');
+  }
+
+  try {
+    const { data, source } = await getQuote(symbol, apiKey);
+    response.setHeader('X-Quote-Cache', source);
+    response.setHeader('Cache-Control', 'private, max-age=15');
+    return response.status(200).json(data);
   } catch (error) {
+    if (error instanceof QuoteError) {
+      if (error.retryAfter) response.setHeader('Retry-After', String(error.retryAfter));
+      return sendError(response, error.status, error.code, error.message);
+    }
     // Catch any other unexpected errors.
-    return response.status(500).json({ message: `An internal server error occurred: ${error.message}` });
+    return sendError(response, 500, 'INTERNAL_ERROR', `An internal server error occurred: ${error.message}`);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,77 @@
+// This is a Vercel Serverless Function.
+// The signed-in user's OllyDaily archive and email preference:
+//
+//   GET  /api/ollydaily                             -> { subscribed, digests: [{ date, subject, stats, sentAt }] }
+//   GET  /api/ollydaily?date=2026-10-16             -> { date, subject, html, text, sentAt }
+//   POST /api/ollydaily  { action: 'subscribe' }    -> { subscribed: true }
+//   POST /api/ollydaily  { action: 'unsubscribe' }  -> { subscribed: false }
+//
+// Digests are built and mailed by api/cron/ollydaily.js. Unsubscribing stops
+// the email only; the archive stays available while the plan includes OllyDaily.
+
+import { sendError } from './_lib/http.js';
+import { requireAccess } from './_lib/access.js';
+import { sendAdminError, updateAuthUser } from './_lib/admin.js';
+import { isValidDate, getArchivedDigest, listArchivedDigests } from './_lib/ollydaily.js';
+
+function isSubscribed(user) {
+  return !user.user_metadata?.ollydaily_unsubscribed;
+}
+
+async function setSubscribed(user, subscribed) {
+  await updateAuthUser(user.id, { user_metadata: { ollydaily_unsubscribed: !subscribed } });
+  return { subscribed };
+}
+
+export default async function handler(request, response) {
+  if (request.method !== 'GET' && request.method !== 'POST') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const user = await requireAccess(request, response, ['daily']);
+  if (!user) return;
+
+  try {
+    if (request.method === 'POST') {
+      const { action } = request.body || {};
+      if (action === 'subscribe' || action === 'unsubscribe') {
+        return response.status(200).json(await setSubscribed(user, action === 'subscribe'));
+      }
+      return sendError(response, 400, 'UNKNOWN_ACTION', `Action "${action}" is not available.`, {
+        allowed: ['subscribe', 'unsubscribe']
+      });
+    }
+
+    response.setHeader('Cache-Control', 'private, no-store');
+    const { date } = request.query;
+    if (date !== undefined) {
+      if (!isValidDate(date)) {
+        return sendError(response, 400, 'INVALID_DATE', 'date must be YYYY-MM-DD.');
+      }
+      const digest = await getArchivedDigest(user.id, date);
+      if (!digest) {
+        return sendError(response, 404, 'NOT_FOUND', `There is no OllyDaily for ${date} in your archive.`);
+      }
+      return response.status(200).json({
+        date: digest.digest_date,
+        subject: digest.subject,
+        html: digest.html,
+        text: digest.text,
+        sentAt: digest.sent_at
+      });
+    }
+
+    const digests = await listArchivedDigests(user.id);
+    return response.status(200).json({
+      subscribed: isSubscribed(user),
+      digests: (digests || []).map((digest) => ({
+        date: digest.digest_date,
+        subject: digest.subject,
+        stats: digest.stats || {},
+        sentAt: digest.sent_at
+      }))
+    });
+  } catch (error) {
+    return sendAdminError(response, error);
+  }
+}
@@ -0,0 +1,174 @@
+// This is a Vercel Serverless Function.
+// OllyPass enrollment and verification for the signed-in user:
+//
+//   POST /api/ollypass  { action: 'status' }                    -> { enrolled, pending, recoveryCodesRemaining, deviceTrusted, trustedUntil }
+//   POST /api/ollypass  { action: 'enroll' }                    -> { secret, otpauthUrl }
+//   POST /api/ollypass  { action: 'activate', code }            -> { enrolled: true, recoveryCodes, trustedUntil }
+//   POST /api/ollypass  { action: 'verify', code }              -> { verified: true, trustedUntil }
+//   POST /api/ollypass  { action: 'recover', code }             -> { verified: true, recoveryCodesRemaining, trustedUntil }
+//   POST /api/ollypass  { action: 'regenerate-recovery', code } -> { recoveryCodes }
+//
+// The TOTP secret is generated and kept on the server (see _lib/ollypass.js);
+// the browser only sees it once, to scan it into an authenticator app.
+// Recovery codes are returned once and stored as hashes. A successful
+// activate, verify or recover also trusts the device (see _lib/devices.js),
+// which status then reports so the sign-in page can skip the code.
+
+import { sendError } from './_lib/http.js';
+import { requireUser } from './_lib/auth.js';
+import { updateAuthUser, sendAdminError } from './_lib/admin.js';
+import {
+  generateSecret,
+  verifyTotp,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from './_lib/totp.js';
+import { getFactor, saveFactor, isLocked, recordFailure } from './_lib/ollypass.js';
+import { getTrustedDevice, trustDevice, trustedUntil } from './_lib/devices.js';
+
+function sendLocked(response, factor) {
+  const retryAfter = Math.max(1, Math.ceil((Date.parse(factor.locked_until) - Date.now()) / 1000));
+  response.setHeader('Retry-After', String(retryAfter));
+  return sendError(response, 429, 'TOO_MANY_ATTEMPTS', 'Too many incorrect codes. Please try again later.', { retryAfter });
+}
+
+async function sendInvalidCode(response, user, factor) {
+  const updated = await recordFailure(user.id, factor);
+  if (isLocked(updated)) return sendLocked(response, updated);
+  return sendError(response, 401, 'INVALID_CODE', 'That code is not valid. Please try again.');
+}
+
+// Trusts the device and returns when that trust runs out (null if device
+// trust isn't configured)
+async function trustCaller(request, response, user) {
+  const device = await trustDevice(request, response, user);
+  return device ? new Date(trustedUntil(device.trusted_at)).toISOString() : null;
+}
+
+function newRecoveryCodes() {
+  const codes = generateRecoveryCodes();
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// action -> (user, factor, body, request, response) => response
+const ACTIONS = {
+  status: async (user, factor, body, request, response) => {
+    const device = factor?.secret ? await getTrustedDevice(request, user) : null;
+    return response.status(200).json({
+      enrolled: Boolean(factor?.secret),
+      pending: Boolean(factor?.pending_secret),
+      recoveryCodesRemaining: factor?.recovery_codes?.length || 0,
+      deviceTrusted: Boolean(device),
+      trustedUntil: device ? new Date(trustedUntil(device.trusted_at)).toISOString() : null
+    });
+  },
+
+  enroll: async (user, factor, body, request, response) => {
+    if (factor?.secret) {
+      return sendError(response, 409, 'ALREADY_ENROLLED', 'OllyPass is already set up for this account.');
+    }
+    const secret = generateSecret();
+    await saveFactor(user.id, { pending_secret: secret });
+    return response.status(200).json({ secret, otpauthUrl: otpauthUrl(secret, user.email) });
+  },
+
+  activate: async (user, factor, body, request, response) => {
+    if (factor?.secret) {
+      return sendError(response, 409, 'ALREADY_ENROLLED', 'OllyPass is already set up for this account.');
+    }
+    if (!factor?.pending_secret) {
+      return sendError(response, 400, 'NOT_ENROLLING', 'Start OllyPass setup before confirming a code.');
+    }
+    const step = verifyTotp(factor.pending_secret, body.code);
+    if (step === null) return sendInvalidCode(response, user, factor);
+
+    const { codes, hashes } = newRecoveryCodes();
+    await saveFactor(user.id, {
+      secret: factor.pending_secret,
+      pending_secret: null,
+      recovery_codes: hashes,
+      last_used_step: step,
+      failed_attempts: 0,
+      locked_until: null,
+      enabled_at: new Date().toISOString()
+    });
+    // Flag the account for the admin console and drop any secret left in
+    // user_metadata by the old client-side enrollment
+    await updateAuthUser(user.id, {
+      app_metadata: { mfa_enabled: true },
+      user_metadata: { ollypass_secret: null }
+    });
+    return response.status(200).json({
+      enrolled: true,
+      recoveryCodes: codes,
+      trustedUntil: await trustCaller(request, response, user)
+    });
+  },
+
+  verify: async (user, factor, body, request, response) => {
+    if (!factor?.secret) {
+      return sendError(response, 400, 'NOT_ENROLLED', 'OllyPass is not set up for this account.');
+    }
+    const step = verifyTotp(factor.secret, body.code, { afterStep: factor.last_used_step ?? -1 });
+    if (step === null) return sendInvalidCode(response, user, factor);
+
+    await saveFactor(user.id, { last_used_step: step, failed_attempts: 0, locked_until: null });
+    return response.status(200).json({ verified: true, trustedUntil: await trustCaller(request, response, user) });
+  },
+
+  recover: async (user, factor, body, request, response) => {
+    if (!factor?.secret) {
+      return sendError(response, 400, 'NOT_ENROLLED', 'OllyPass is not set up for this account.');
+    }
+    const hash = hashRecoveryCode(body.code);
+    const remaining = (factor.recovery_codes || []).filter((stored) => stored !== hash);
+    if (remaining.length === (factor.recovery_codes || []).length) {
+      return sendInvalidCode(response, user, factor);
+    }
+
+    await saveFactor(user.id, { recovery_codes: remaining, failed_attempts: 0, locked_until: null });
+    return response.status(200).json({
+      verified: true,
+      recoveryCodesRemaining: remaining.length,
+      trustedUntil: await trustCaller(request, response, user)
+    });
+  },
+
+  'regenerate-recovery': async (user, factor, body, request, response) => {
+    if (!factor?.secret) {
+      return sendError(response, 400, 'NOT_ENROLLED', 'OllyPass is not set up for this account.');
+    }
+    const step = verifyTotp(factor.secret, body.code, { afterStep: factor.last_used_step ?? -1 });
+    if (step === null) return sendInvalidCode(response, user, factor);
+
+    const { codes, hashes } = newRecoveryCodes();
+    await saveFactor(user.id, { recovery_codes: hashes, last_used_step: step, failed_attempts: 0, locked_until: null });
+    return response.status(200).json({ recoveryCodes: codes });
+  }
+};
+
+export default async function handler(request, response) {
+  if (request.method !== 'POST') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const user = await requireUser(request, response);
+  if (!user) return;
+
+  const body = request.body || {};
+  const action = ACTIONS[body.action];
+  if (!action) {
+    return sendError(response, 400, 'UNKNOWN_ACTION', `Action "${body.action}" is not available.`, {
+      allowed: Object.keys(ACTIONS)
+    });
+  }
+
+  try {
+    const factor = await getFactor(user.id);
+    if (body.action !== 'status' && isLocked(factor)) return sendLocked(response, factor);
+    return await action(user, factor, body, request, response);
+  } catch (error) {
+    return sendAdminError(response, error);
+  }
+}
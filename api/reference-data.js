@@ -0,0 +1,242 @@
+// This is a Vercel Serverless Function.
+// It rebuilds the company reference tables used for exchange, sector, index
+// and market-cap badges:
+//
+//   GET /api/reference-data             -> cached tables (rebuilt at most once a day)
+//   GET /api/reference-data?refresh=1   -> force a rebuild (active accounts only)
+//   GET /api/reference-data?ciks=320193,789019
+//       -> { companies: { '320193': { sic, sicDescription } } } (active accounts only)
+//
+// The tables have the same shape as the bundled data/reference/snapshot.json:
+//   { generatedAt, sources, fields: [cik, name, ticker, exchange, sic],
+//     data: [[...]], indices: { DOW30: [tickers] }, marketCaps: { ticker: tier } }
+//
+// Tickers, CIKs and exchanges come from SEC's company_tickers_exchange.json.
+// Index membership comes from constituent CSVs (first column = ticker). Only
+// complete lists are used: the Dow 30 ships under data/reference/indices,
+// and the S&P 500 and Nasdaq-100 are available once REFERENCE_SP500_CSV_URL
+// and REFERENCE_NASDAQ100_CSV_URL point at authoritative lists. An index
+// without a list is left out, so pages don't offer a filter that can't match.
+//
+// SEC's ticker file has no SIC codes, so pages ask for the companies they
+// show with ?ciks= and the codes come from SEC's submissions API
+// (data.sec.gov), cached per instance and folded into the next rebuild.
+// Market-cap tiers are carried over from the bundled snapshot.
+
+import { sendError, mapUpstreamStatus, readUpstreamError, siteOrigin } from './_lib/http.js';
+import { requireAccess } from './_lib/access.js';
+
+const SEC_TICKERS_URL = 'https://www.sec.gov/files/company_tickers_exchange.json';
+const SEC_SUBMISSIONS_URL = 'https://data.sec.gov/submissions';
+const SNAPSHOT_PATH = '/data/reference/snapshot.json';
+const REBUILD_AFTER_MS = 24 * 60 * 60 * 1000;
+const MAX_SIC_CIKS = 50;
+const SIC_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_SIC_CACHED = 20000;
+const SIC_CONCURRENCY = 4; // SEC allows 10 requests a second
+
+// Index key -> bundled constituent file (null: only from REFERENCE_<INDEX>_CSV_URL)
+const INDEX_FILES = {
+  SP500: null,
+  NASDAQ100: null,
+  DOW30: 'dow30.csv'
+};
+
+const cache = { tables: null, builtAt: 0, building: null };
+const sics = new Map(); // CIK -> { sic, sicDescription, fetchedAt }
+
+function userAgent() {
+  return process.env.SEC_USER_AGENT || 'OllyTracker reference-data';
+}
+
+async function fetchJson(url, headers = {}) {
+  const apiResponse = await fetch(url, { headers });
+  if (!apiResponse.ok) {
+    const error = new Error(`Failed to fetch ${url}: ${await readUpstreamError(apiResponse)}`);
+    error.upstreamStatus = apiResponse.status;
+    throw error;
+  }
+  return apiResponse.json();
+}
+
+// Returns the tickers in the first column, skipping a header row
+function parseConstituentCsv(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.split(',')[0].replace(/"/g, '').trim().toUpperCase())
+    .filter((ticker, i) => ticker && !(i === 0 && /^(TICKER|SYMBOL)$/.test(ticker)));
+}
+
+async function loadIndices(origin) {
+  const indices = {};
+  const sources = [];
+
+  await Promise.all(Object.entries(INDEX_FILES).map(async ([key, file]) => {
+    const url = process.env[`REFERENCE_${key}_CSV_URL`] || (file && `${origin}/data/reference/indices/${file}`);
+    if (!url) return;
+    try {
+      const apiResponse = await fetch(url);
+      if (!apiResponse.ok) throw new Error(`HTTP ${apiResponse.status}`);
+      const tickers = parseConstituentCsv(await apiResponse.text());
+      if (tickers.length === 0) throw new Error('no tickers in the list');
+      indices[key] = tickers;
+      sources.push(url);
+    } catch (error) {
+      // One missing index list shouldn't take the whole table down
+      console.error(`Failed to load ${key} constituents from ${url}`, error);
+    }
+  }));
+
+  return { indices, sources };
+}
+
+async function buildTables(origin) {
+  const [secTickers, snapshot, { indices, sources }] = await Promise.all([
+    fetchJson(SEC_TICKERS_URL, { 'User-Agent': userAgent(), 'Accept': 'application/json' }),
+    fetchJson(`${origin}${SNAPSHOT_PATH}`),
+    loadIndices(origin)
+  ]);
+
+  // SIC codes from the bundled snapshot, then any looked up since, keyed by CIK
+  const sicByCik = new Map();
+  const snapshotFields = snapshot.fields || [];
+  snapshot.data.forEach((row) => {
+    const sic = row[snapshotFields.indexOf('sic')];
+    if (sic) sicByCik.set(Number(row[snapshotFields.indexOf('cik')]), sic);
+  });
+  sics.forEach((entry, cik) => {
+    if (entry.sic) sicByCik.set(Number(cik), entry.sic);
+  });
+
+  const secFields = secTickers.fields;
+  const col = (name) => secFields.indexOf(name);
+  const data = secTickers.data.map((row) => [
+    Number(row[col('cik')]),
+    row[col('name')],
+    row[col('ticker')],
+    row[col('exchange')] || null,
+    sicByCik.get(Number(row[col('cik')])) || null
+  ]);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    sources: [SEC_TICKERS_URL, ...sources],
+    fields: ['cik', 'name', 'ticker', 'exchange', 'sic'],
+    data,
+    indices,
+    marketCaps: snapshot.marketCaps || {}
+  };
+}
+
+function rememberSic(cik, entry) {
+  if (sics.size >= MAX_SIC_CACHED) sics.delete(sics.keys().next().value);
+  sics.set(cik, { ...entry, fetchedAt: Date.now() });
+}
+
+// CIK -> { sic, sicDescription } from SEC's submissions API. CIKs SEC
+// doesn't know get nulls; ones that fail for another reason are left out so
+// the page can ask again later.
+async function lookupSics(ciks) {
+  const companies = {};
+  const queue = ciks.filter((cik) => {
+    const cached = sics.get(cik);
+    if (!cached || Date.now() - cached.fetchedAt > SIC_TTL_MS) return true;
+    companies[cik] = { sic: cached.sic, sicDescription: cached.sicDescription };
+    return false;
+  });
+
+  async function worker() {
+    while (queue.length > 0) {
+      const cik = queue.shift();
+      try {
+        const submissions = await fetchJson(`${SEC_SUBMISSIONS_URL}/CIK${cik.padStart(10, '0')}.json`, {
+          'User-Agent': userAgent(),
+          'Accept': 'application/json'
+        });
+        companies[cik] = { sic: Number(submissions.sic) || null, sicDescription: submissions.sicDescription || null };
+      } catch (error) {
+        if (error.upstreamStatus !== 404) {
+          console.error(`SIC lookup for CIK ${cik} failed`, error);
+          continue;
+        }
+        companies[cik] = { sic: null, sicDescription: null };
+      }
+      rememberSic(cik, companies[cik]);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(SIC_CONCURRENCY, queue.length) }, worker));
+  return companies;
+}
+
+async function handleSicLookup(request, response) {
+  const user = await requireAccess(request, response);
+  if (!user) return;
+
+  const ciks = [...new Set(String(request.query.ciks || '')
+    .split(',')
+    .map((cik) => cik.replace(/\D/g, '').replace(/^0+/, ''))
+    .filter((cik) => cik && cik.length <= 10))];
+  if (ciks.length === 0) {
+    return sendError(response, 400, 'INVALID_CIK', 'At least one valid CIK is required.');
+  }
+  if (ciks.length > MAX_SIC_CIKS) {
+    return sendError(response, 400, 'BATCH_TOO_LARGE', `A lookup may contain at most ${MAX_SIC_CIKS} CIKs.`);
+  }
+
+  const companies = await lookupSics(ciks);
+  response.setHeader('Cache-Control', 'private, max-age=86400');
+  return response.status(200).json({ companies });
+}
+
+export default async function handler(request, response) {
+  if (request.method !== 'GET') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  if (request.query.ciks !== undefined) {
+    return handleSicLookup(request, response);
+  }
+
+  // The tables are public SEC data that also ships as a static snapshot, so
+  // only a forced rebuild (which costs upstream calls) needs an account
+  const forceRefresh = request.query.refresh === '1';
+  if (forceRefresh) {
+    const user = await requireAccess(request, response);
+    if (!user) return;
+  }
+
+  const stale = Date.now() - cache.builtAt > REBUILD_AFTER_MS;
+  if (!cache.tables || stale || forceRefresh) {
+    // Concurrent requests share one rebuild
+    if (!cache.building) {
+      cache.building = buildTables(siteOrigin(request))
+        .then((tables) => {
+          cache.tables = tables;
+          cache.builtAt = Date.now();
+        })
+        .finally(() => {
+          cache.building = null;
+        });
+    }
+
+    try {
+      await cache.building;
+    } catch (error) {
+      // Keep serving the last good tables if we have them
+      if (!cache.tables) {
+        if (error.upstreamStatus) {
+          const { status, code } = mapUpstreamStatus(error.upstreamStatus);
+          return sendError(response, status, code, error.message);
+        }
+        return sendError(response, 502, 'UPSTREAM_ERROR', `Failed to build reference data: ${error.message}`);
+      }
+      console.error('Reference data rebuild failed, serving previous tables', error);
+    }
+  }
+
+  if (!forceRefresh) {
+    response.setHeader('Cache-Control', 'public, s-maxage=86400, stale-while-revalidate=604800');
+  }
+  return response.status(200).json(cache.tables);
+}
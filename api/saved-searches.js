@@ -0,0 +1,140 @@
+// This is a Vercel Serverless Function.
+// The signed-in user's saved full-text searches:
+//
+//   GET  /api/saved-searches                                -> { searches: [...] }
+//   POST /api/saved-searches { action: 'create', name, search, frequency, notify }
+//   POST /api/saved-searches { action: 'update', id, name?, search?, frequency?, notify? }
+//   POST /api/saved-searches { action: 'delete', id }
+//   POST /api/saved-searches { action: 'seen', id }         -> clears its new hits
+//
+// api/cron/saved-searches.js re-runs them on their frequency ('off', 'hourly'
+// or 'daily') and collects new hits, emailing them when `notify` is set.
+// Creating or changing a search's query runs it once so only filings that
+// appear afterwards count as new.
+
+import { sendError } from './_lib/http.js';
+import { requireAccess } from './_lib/access.js';
+import { sendAdminError, AdminApiError } from './_lib/admin.js';
+import {
+  SearchError,
+  FREQUENCIES,
+  normalizeSearch,
+  runSearch,
+  mergeRun,
+  listSavedSearches,
+  getSavedSearch,
+  insertSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} from './_lib/fulltext.js';
+
+const MAX_SAVED = 25;
+const ACTIONS = ['create', 'update', 'delete', 'seen'];
+
+function summarize(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    search: row.search,
+    frequency: row.frequency,
+    notify: row.notify,
+    newHits: row.new_hits || [],
+    lastRunAt: row.last_run_at,
+    createdAt: row.created_at
+  };
+}
+
+function readSettings(body, existing = {}) {
+  const name = body.name === undefined ? existing.name : String(body.name || '').trim().slice(0, 100);
+  if (!name) throw new SearchError(400, 'INVALID_SEARCH', 'A saved search needs a name.');
+  const frequency = body.frequency === undefined ? existing.frequency || 'daily' : body.frequency;
+  if (!Object.prototype.hasOwnProperty.call(FREQUENCIES, frequency)) {
+    throw new SearchError(400, 'INVALID_SEARCH', `frequency must be one of ${Object.keys(FREQUENCIES).join(', ')}.`);
+  }
+  return { name, frequency, notify: body.notify === undefined ? existing.notify ?? true : Boolean(body.notify) };
+}
+
+// Marks everything the search matches today as seen
+async function baseline(search) {
+  const { filings } = await runSearch(search);
+  return mergeRun({}, filings).fields.seen;
+}
+
+async function createSearch(user, body) {
+  const existing = await listSavedSearches(user.id);
+  if ((existing || []).length >= MAX_SAVED) {
+    throw new SearchError(400, 'TOO_MANY_SEARCHES', `You can save up to ${MAX_SAVED} searches.`);
+  }
+  const settings = readSettings(body);
+  const search = normalizeSearch(body.search);
+  const row = await insertSavedSearch(user.id, {
+    ...settings,
+    search,
+    seen: await baseline(search),
+    new_hits: [],
+    last_run_at: new Date().toISOString()
+  });
+  return summarize(row);
+}
+
+async function requireSaved(user, id) {
+  const saved = id ? await getSavedSearch(user.id, id) : null;
+  if (!saved) throw new SearchError(404, 'NOT_FOUND', 'That saved search no longer exists.');
+  return saved;
+}
+
+async function updateSearch(user, body) {
+  const saved = await requireSaved(user, body.id);
+  const fields = readSettings(body, saved);
+  if (body.search !== undefined) {
+    fields.search = normalizeSearch(body.search);
+    if (JSON.stringify(fields.search) !== JSON.stringify(saved.search)) {
+      fields.seen = await baseline(fields.search);
+      fields.new_hits = [];
+      fields.last_run_at = new Date().toISOString();
+    }
+  }
+  return summarize(await updateSavedSearch(saved.id, fields));
+}
+
+export default async function handler(request, response) {
+  if (request.method !== 'GET' && request.method !== 'POST') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const user = await requireAccess(request, response, ['stream']);
+  if (!user) return;
+
+  try {
+    if (request.method === 'GET') {
+      response.setHeader('Cache-Control', 'private, no-store');
+      const rows = await listSavedSearches(user.id);
+      return response.status(200).json({ searches: (rows || []).map(summarize) });
+    }
+
+    const body = request.body || {};
+    switch (body.action) {
+      case 'create':
+        return response.status(201).json(await createSearch(user, body));
+      case 'update':
+        return response.status(200).json(await updateSearch(user, body));
+      case 'delete': {
+        const saved = await requireSaved(user, body.id);
+        await deleteSavedSearch(user.id, saved.id);
+        return response.status(200).json({ id: saved.id, deleted: true });
+      }
+      case 'seen': {
+        const saved = await requireSaved(user, body.id);
+        return response.status(200).json(summarize(await updateSavedSearch(saved.id, { new_hits: [] })));
+      }
+      default:
+        return sendError(response, 400, 'UNKNOWN_ACTION', `Action "${body.action}" is not available.`, {
+          allowed: ACTIONS
+        });
+    }
+  } catch (error) {
+    if (error instanceof SearchError) return sendError(response, error.status, error.code, error.message);
+    if (error instanceof AdminApiError) return sendAdminError(response, error);
+    return sendError(response, 500, 'INTERNAL_ERROR', `An internal server error occurred: ${error.message}`);
+  }
+}
@@ -1,6 +1,8 @@
 // This is a Vercel Serverless Function.
 // It acts as a secure proxy to the sec-api.io service.
 
+import { requireAccess } from './_lib/access.js';
+
 export default async function handler(request, response) {
   // We only allow POST requests to this function.
   if (request.method !== 'POST') {
@@ -8,6 +10,9 @@ export default async function handler(request, response) {
     return;
   }
 
+  const user = await requireAccess(request, response);
+  if (!user) return;
+
   // Get the API key securely from Vercel's environment variables.
   // It is never exposed to the user's browser.
   const apiKey = process.env.SEC_API_KEY;
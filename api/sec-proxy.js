@@ -0,0 +1,92 @@
+// This is a Vercel Serverless Function.
+// It is the single gateway from the browser to sec-api.io: callers name an
+// endpoint from the allowlist below and we forward their query with the
+// server-side key. See Olly.callSecApi in js/olly-common.js.
+
+import { requireAccess } from './_lib/access.js';
+import { sendError, mapUpstreamStatus, readUpstreamError } from './_lib/http.js';
+
+const SEC_API_BASE = 'https://api.sec-api.io';
+
+// Endpoint name -> upstream path. Anything not listed here is rejected.
+const ENDPOINTS = {
+  'query': '',
+  'full-text-search': '/full-text-search',
+  'insider-trading': '/insider-trading',
+  'form-144': '/form-144',
+  'form-8k': '/form-8k',
+  'form-13d-13g': '/form-13d-13g',
+  'form-13f-holdings': '/form-13f/holdings',
+  'form-d': '/form-d',
+  'directors-and-board-members': '/directors-and-board-members'
+};
+
+// Endpoints only some tiers' pages use (see TIERS in _lib/access.js);
+// everything else is open to any account in good standing.
+const ENDPOINT_FEATURES = {
+  'directors-and-board-members': ['cortex', 'locker']
+};
+
+function resolveEndpoint(name) {
+  const key = String(name || '').replace(/^\/+/, '').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(ENDPOINTS, key) ? key : null;
+}
+
+export default async function handler(request, response) {
+  // We only allow POST requests to this function.
+  if (request.method !== 'POST') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  const { endpoint, payload } = request.body || {};
+  const endpointName = resolveEndpoint(endpoint);
+
+  const user = await requireAccess(request, response, ENDPOINT_FEATURES[endpointName] || []);
+  if (!user) return;
+
+  if (!endpointName) {
+    return sendError(response, 400, 'UNKNOWN_ENDPOINT', `Endpoint "${endpoint}" is not available.`, {
+      allowed: Object.keys(ENDPOINTS)
+    });
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    return sendError(response, 400, 'INVALID_PAYLOAD', 'A JSON query payload is required.');
+  }
+
+  // Get the API key securely from Vercel's environment variables.
+  const apiKey = process.env.SEC_API_KEY;
+  if (!apiKey) {
+    return sendError(response, 500, 'NOT_CONFIGURED', 'API key is not configured on the server.');
+  }
+
+  let apiResponse;
+  try {
+    apiResponse = await fetch(`${SEC_API_BASE}${ENDPOINTS[endpointName]}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': apiKey
+      },
+      body: JSON.stringify(payload)
+    });
+  } catch (error) {
+    return sendError(response, 502, 'UPSTREAM_UNREACHABLE', `sec-api.io could not be reached: ${error.message}`);
+  }
+
+  if (!apiResponse.ok) {
+    const { status, code } = mapUpstreamStatus(apiResponse.status);
+    const message = await readUpstreamError(apiResponse);
+    return sendError(response, status, code, `sec-api.io ${endpointName} failed: ${message}`, {
+      endpoint: endpointName,
+      upstreamStatus: apiResponse.status
+    });
+  }
+
+  try {
+    const data = await apiResponse.json();
+    return response.status(200).json(data);
+  } catch (error) {
+    return sendError(response, 502, 'UPSTREAM_ERROR', `sec-api.io returned an unreadable response: ${error.message}`);
+  }
+}
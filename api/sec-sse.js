@@ -3,53 +3,187 @@ export const config = {
 };
 
 import WebSocket from "ws";
+import { requireAccess } from "./_lib/access.js";
 
-export default function handler(req, res) {
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
+// Shared relay: one upstream sec-api.io socket per function instance, fanned
+// out to every connected SSE client. Filings are kept in a bounded replay
+// buffer keyed by accession number so a reconnecting client can send
+// Last-Event-ID and receive whatever it missed, as "replay" events. An id the
+// buffer doesn't hold (evicted, or seen by another instance) gets a "gap"
+// event instead, since there's no telling what was missed.
+const REPLAY_LIMIT = 500;
+const HEARTBEAT_MS = 25000;
+const UPSTREAM_RETRY_MS = 3000;
+const IDLE_CLOSE_MS = 60000;
 
-  res.write(": connected\n\n");
+const relay = {
+  ws: null,
+  connected: false,
+  clients: new Set(),
+  replay: new Map(),
+  retryTimer: null,
+  idleTimer: null
+};
 
-  const apiKey = process.env.SECAPI_KEY;
-  if (!apiKey) {
-    res.write("event: error\ndata: Missing SECAPI_KEY\n\n");
-    res.end();
-    return;
+function writeEvent(res, { id, event, data }) {
+  let frame = "";
+  if (id) frame += `id: ${id}\n`;
+  if (event) frame += `event: ${event}\n`;
+  frame += `data: ${data}\n\n`;
+  res.write(frame);
+}
+
+function broadcast(message) {
+  relay.clients.forEach((res) => writeEvent(res, message));
+}
+
+function broadcastStatus(state, message) {
+  broadcast({ event: "status", data: JSON.stringify({ state, message }) });
+}
+
+function remember(filing) {
+  const id = filing.accessionNo;
+  if (!id) return null;
+
+  // Re-inserting moves an updated filing to the end of the replay order
+  relay.replay.delete(id);
+  relay.replay.set(id, JSON.stringify(filing));
+
+  while (relay.replay.size > REPLAY_LIMIT) {
+    relay.replay.delete(relay.replay.keys().next().value);
   }
+  return id;
+}
 
-  const upstreamUrl = `wss://stream.sec-api.io?apiKey=${encodeURIComponent(apiKey)}`;
+// Returns the number of filings replayed, or null for a gap
+function replaySince(res, lastEventId) {
+  if (!relay.replay.has(lastEventId)) {
+    writeEvent(res, {
+      event: "gap",
+      data: JSON.stringify({ lastEventId, buffered: relay.replay.size })
+    });
+    return null;
+  }
 
-  let ws;
+  const entries = Array.from(relay.replay.entries());
+  const missed = entries.slice(entries.findIndex(([id]) => id === lastEventId) + 1);
+  missed.forEach(([id, data]) => writeEvent(res, { id, event: "replay", data }));
+  return missed.length;
+}
 
+function handleUpstreamMessage(msg) {
+  let filings;
   try {
-    ws = new WebSocket(upstreamUrl);
+    filings = JSON.parse(msg.toString());
+  } catch (err) {
+    console.error("Unparseable upstream message", err);
+    return;
+  }
 
-    ws.on("open", () => {
-      res.write("event: open\ndata: connected to sec-api\n\n");
-    });
+  (Array.isArray(filings) ? filings : [filings]).forEach((filing) => {
+    const id = remember(filing);
+    broadcast({ id, data: JSON.stringify(filing) });
+  });
+}
 
-    ws.on("message", (msg) => {
-      res.write(`data: ${msg}\n\n`);
-    });
+function scheduleUpstreamRetry(apiKey) {
+  if (relay.retryTimer || relay.clients.size === 0) return;
+  relay.retryTimer = setTimeout(() => {
+    relay.retryTimer = null;
+    ensureUpstream(apiKey);
+  }, UPSTREAM_RETRY_MS);
+}
 
-    ws.on("error", (err) => {
-      console.error("Upstream WS error", err);
-      res.write(`event: error\ndata: ${err.message}\n\n`);
-      res.end();
-    });
+function ensureUpstream(apiKey) {
+  if (relay.ws && relay.ws.readyState !== WebSocket.CLOSED) return;
 
-    ws.on("close", () => {
-      res.write("event: close\ndata: upstream closed\n\n");
-      res.end();
-    });
+  const upstreamUrl = `wss://stream.sec-api.io?apiKey=${encodeURIComponent(apiKey)}`;
 
-    req.on("close", () => {
-      ws.close();
-    });
+  try {
+    relay.ws = new WebSocket(upstreamUrl);
   } catch (err) {
     console.error("failed to create upstream ws", err);
-    res.write(`event: error\ndata: ${err.message}\n\n`);
+    broadcastStatus("error", err.message);
+    scheduleUpstreamRetry(apiKey);
+    return;
+  }
+
+  relay.ws.on("open", () => {
+    relay.connected = true;
+    broadcastStatus("connected", "connected to sec-api");
+  });
+
+  relay.ws.on("message", handleUpstreamMessage);
+
+  relay.ws.on("error", (err) => {
+    console.error("Upstream WS error", err);
+    broadcastStatus("error", err.message);
+  });
+
+  relay.ws.on("close", () => {
+    relay.connected = false;
+    relay.ws = null;
+    if (relay.clients.size > 0) {
+      broadcastStatus("reconnecting", "upstream closed");
+      scheduleUpstreamRetry(apiKey);
+    }
+  });
+}
+
+function closeUpstreamWhenIdle() {
+  if (relay.clients.size > 0 || relay.idleTimer) return;
+  relay.idleTimer = setTimeout(() => {
+    relay.idleTimer = null;
+    if (relay.clients.size === 0 && relay.ws) {
+      relay.ws.close();
+    }
+  }, IDLE_CLOSE_MS);
+}
+
+export default async function handler(req, res) {
+  // EventSource can't send headers, so pages pass ?access_token=. A refusal
+  // goes out as a plain JSON error, which makes EventSource stop retrying.
+  const user = await requireAccess(req, res);
+  if (!user) return;
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+
+  res.write("retry: 3000\n");
+  res.write(": connected\n\n");
+
+  const apiKey = process.env.SECAPI_KEY;
+  if (!apiKey) {
+    writeEvent(res, { event: "status", data: JSON.stringify({ state: "error", message: "Missing SECAPI_KEY" }) });
     res.end();
+    return;
+  }
+
+  // EventSource sends Last-Event-ID on its own reconnects; the query param
+  // covers a page that opens a fresh EventSource after a hard failure.
+  const lastEventId = req.headers["last-event-id"] || req.query?.lastEventId;
+  if (lastEventId) {
+    const count = replaySince(res, lastEventId);
+    if (count !== null) res.write(`: replayed ${count} filings\n\n`);
   }
-}
\ No newline at end of file
+
+  relay.clients.add(res);
+  if (relay.idleTimer) {
+    clearTimeout(relay.idleTimer);
+    relay.idleTimer = null;
+  }
+
+  ensureUpstream(apiKey);
+  if (relay.connected) {
+    writeEvent(res, { event: "status", data: JSON.stringify({ state: "connected", message: "connected to sec-api" }) });
+  }
+
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    relay.clients.delete(res);
+    closeUpstreamWhenIdle();
+  });
+}
@@ -0,0 +1,125 @@
+// This is a Vercel Serverless Function.
+// Public OllyDaily waiting-list signup (see _lib/waitlist.js):
+//
+//   POST /api/waiting-list  { fullName, organization, email, referrer, utm }
+//        -> { message }   (the same answer whether or not the email is new)
+//   GET  /api/waiting-list?token=...
+//        -> redirect to /ollydaily.html?confirm=ok|expired|invalid
+//
+// A new signup gets a confirmation email; asking again while unconfirmed
+// re-sends it at most every RESEND_AFTER_MS. Confirmed signups wait in the
+// admin console's queue for approval. Errors are reported generically, since
+// anyone can call this route.
+
+import { sendError, siteOrigin } from './_lib/http.js';
+import { sendMail, escapeHtml, MailError } from './_lib/mail.js';
+import {
+  UTM_FIELDS,
+  CONFIRM_TTL_MS,
+  normalizeEmail,
+  classifySource,
+  statusOf,
+  createConfirmToken,
+  hashToken,
+  findByEmail,
+  findByTokenHash,
+  insertEntry,
+  updateEntry
+} from './_lib/waitlist.js';
+
+const RESEND_AFTER_MS = 10 * 60 * 1000;
+const MAX_FIELD_LENGTH = 200;
+const SIGNUP_MESSAGE = 'Check your inbox for a link to confirm your spot on the OllyDaily waiting list.';
+
+function clip(value) {
+  return String(value || '').trim().slice(0, MAX_FIELD_LENGTH);
+}
+
+// The token and send time are recorded only once the email is out, so a
+// failed send leaves nothing to confirm and can be retried straight away
+async function sendConfirmation(request, entry) {
+  const { token, hash } = createConfirmToken();
+  const link = `${siteOrigin(request)}/api/waiting-list?token=${encodeURIComponent(token)}`;
+  const name = entry.fullname || 'there';
+  await sendMail({
+    to: entry.email,
+    subject: 'Confirm your spot on the OllyDaily waiting list',
+    text: `Hi ${name},\n\nConfirm your email to join the OllyDaily waiting list:\n${link}\n\n`
+      + 'The link works for 7 days. If you didn\'t sign up, ignore this email.\n\nOllyTracker',
+    html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Confirm your email to join the OllyDaily waiting list:</p>
+<p><a href="${escapeHtml(link)}">Confirm my spot</a></p>
+<p>The link works for 7 days. If you didn't sign up, ignore this email.</p>
+<p>OllyTracker</p>`
+  });
+  return updateEntry(entry.id, { confirm_token_hash: hash, confirm_sent_at: new Date().toISOString() });
+}
+
+async function handleSignup(request, response) {
+  const body = request.body || {};
+  const email = normalizeEmail(body.email);
+  const fullName = clip(body.fullName);
+  if (!email || !fullName) {
+    return sendError(response, 400, 'INVALID_SIGNUP', 'A full name and a valid email address are required.');
+  }
+
+  const utm = Object.fromEntries(UTM_FIELDS.map((field) => [field, clip(body.utm?.[field]) || null]));
+  const referrer = clip(body.referrer) || null;
+  const existing = await findByEmail(email);
+
+  if (!existing) {
+    const entry = await insertEntry({
+      email,
+      fullname: fullName,
+      organization: clip(body.organization) || null,
+      source: classifySource(referrer, utm),
+      referrer,
+      ...utm,
+      status: 'pending'
+    });
+    await sendConfirmation(request, entry);
+  } else if (statusOf(existing) === 'pending'
+    && Date.now() - (Date.parse(existing.confirm_sent_at || '') || 0) > RESEND_AFTER_MS) {
+    // Signing up again is how people ask for the email to be re-sent
+    await sendConfirmation(request, existing);
+  }
+
+  return response.status(200).json({ message: SIGNUP_MESSAGE });
+}
+
+async function handleConfirm(request, response) {
+  const redirect = (result) => {
+    response.setHeader('Location', `/ollydaily.html?confirm=${result}`);
+    return response.status(302).end();
+  };
+
+  const entry = request.query.token ? await findByTokenHash(hashToken(request.query.token)) : null;
+  if (!entry) return redirect('invalid');
+  if (Date.now() - (Date.parse(entry.confirm_sent_at || '') || 0) > CONFIRM_TTL_MS) return redirect('expired');
+
+  await updateEntry(entry.id, {
+    status: statusOf(entry) === 'pending' ? 'confirmed' : entry.status,
+    confirm_token_hash: null,
+    confirmed_at: new Date().toISOString()
+  });
+  return redirect('ok');
+}
+
+export default async function handler(request, response) {
+  if (request.method !== 'POST' && request.method !== 'GET') {
+    return sendError(response, 405, 'METHOD_NOT_ALLOWED', 'Method Not Allowed');
+  }
+
+  try {
+    return request.method === 'POST'
+      ? await handleSignup(request, response)
+      : await handleConfirm(request, response);
+  } catch (error) {
+    console.error('Waiting list error', error);
+    if (error instanceof MailError) {
+      // The signup is saved; signing up again re-sends the email
+      return sendError(response, error.status, error.code, 'We couldn\'t send the confirmation email. Please try again later.');
+    }
+    return sendError(response, 500, 'INTERNAL_ERROR', 'Something went wrong on our side. Please try again later.');
+  }
+}
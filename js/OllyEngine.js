@@ -20,6 +20,27 @@ window.OllyEngine = {
             return name && name.length > 32 ? name.substring(0, 32) + '...' : (name || 'Unknown Company');
         },
 
+        escapeHtml: function(value) {
+            return String(value ?? '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        },
+
+        downloadFile: function(content, filename, mimeType) {
+            const blob = new Blob([content], { type: mimeType });
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+        },
+
         // Functions from ollyinsider-enhanced02.html
         extractCIKs: function(filing) {
             const ciks = {
@@ -84,22 +105,2370 @@ window.OllyEngine = {
         },
 
         getFormDescription: function(formType) {
-            const descriptions = {
-                '3': 'Initial Ownership',
-                '4': 'Change in Ownership',
-                '5': 'Annual Statement',
-                '144': 'Notice of Sale'
+            return OllyEngine.Forms.classify(formType).description || 'Other';
+        }
+    },
+
+    Forms: {
+        // Canonical form-type taxonomy. Every page classifies raw EDGAR form
+        // strings ("4/A", "FORM 4", "SC 13D/A", "13F-HR", "424B3") through here.
+        // Patterns are tested in order against the form with spaces and hyphens
+        // removed and any /A amendment suffix stripped.
+        FAMILIES: [
+            { family: '3', pattern: /^3$/, group: 'insider', title: 'Form 3', name: 'Initial Ownership', icon: '👤', badge: 'badge-insider' },
+            { family: '4', pattern: /^4$/, group: 'insider', title: 'Form 4', name: 'Insider Trading', description: 'Change in Ownership', icon: '👤', badge: 'badge-insider' },
+            { family: '5', pattern: /^5$/, group: 'insider', title: 'Form 5', name: 'Annual Statement', icon: '👤', badge: 'badge-insider' },
+            { family: '144', pattern: /^144$/, group: 'insider-sale', title: 'Form 144', name: 'Notice of Sale', icon: '🔒', badge: 'badge-144' },
+            { family: '8-K', pattern: /^8K(12B|12G3|15D5)?$/, group: 'current', title: '8-K', name: 'Current Report', icon: '🧨', badge: 'badge-8k' },
+            { family: '6-K', pattern: /^6K$/, group: 'current', title: '6-K', name: 'Foreign Report', icon: '🧨', badge: 'badge-8k' },
+            { family: '10-K', pattern: /^10K(T|405)?$/, group: 'periodic', title: '10-K', name: 'Annual Report', icon: '📘', badge: 'badge-10k' },
+            { family: '10-Q', pattern: /^10QT?$/, group: 'periodic', title: '10-Q', name: 'Quarterly Report', icon: '📗', badge: 'badge-10q' },
+            { family: '20-F', pattern: /^20F$/, group: 'periodic', title: '20-F', name: 'Foreign Annual', icon: '📘', badge: 'badge-10k' },
+            { family: '40-F', pattern: /^40F$/, group: 'periodic', title: '40-F', name: 'Canadian Annual', icon: '📘', badge: 'badge-10k' },
+            { family: 'NT 10-K', pattern: /^NT10K$/, group: 'periodic', title: 'NT 10-K', name: 'Late Filing Notice', icon: '⏰', badge: 'badge-default' },
+            { family: 'NT 10-Q', pattern: /^NT10Q$/, group: 'periodic', title: 'NT 10-Q', name: 'Late Filing Notice', icon: '⏰', badge: 'badge-default' },
+            { family: 'DEF 14A', pattern: /^(DEF|DEFA|DEFM|DEFR|PRE|PREM|PRER)14A$/, group: 'proxy', title: 'DEF 14A', name: 'Proxy Statement', icon: '🗳️', badge: 'badge-def14a' },
+            { family: 'DFAN14A', pattern: /^(DFAN|DEFC|PREC|DEFN|PREN)14A$/, group: 'proxy-contest', title: 'DFAN14A', name: 'Proxy Contest', icon: '⚔️', badge: 'badge-13d' },
+            { family: 'SC 13D', pattern: /^(SC)?13D$/, group: 'beneficial', title: 'SC 13D', name: 'Activist Ownership', icon: '🤝', badge: 'badge-13d' },
+            { family: 'SC 13G', pattern: /^(SC)?13G$/, group: 'beneficial', title: 'SC 13G', name: 'Passive Ownership', icon: '📈', badge: 'badge-13g' },
+            { family: 'SC TO', pattern: /^SCTO[TIC]?$/, group: 'tender', title: 'SC TO', name: 'Tender Offer', icon: '🎯', badge: 'badge-13d' },
+            { family: 'SC 14D9', pattern: /^SC14D9C?$/, group: 'tender', title: 'SC 14D9', name: 'Tender Offer Response', icon: '🎯', badge: 'badge-13d' },
+            { family: '13F', pattern: /^13F(HR|NT)?$/, group: 'institutional', title: '13F', name: 'Institutional Holdings', icon: '🧺', badge: 'badge-13f' },
+            { family: 'S-1', pattern: /^S1$/, group: 'offering', title: 'S-1', name: 'Registration', icon: '🚀', badge: 'badge-offering' },
+            { family: 'F-1', pattern: /^F1$/, group: 'offering', title: 'F-1', name: 'Foreign Registration', icon: '🚀', badge: 'badge-offering' },
+            { family: 'S-3', pattern: /^S3(ASR)?$/, group: 'offering', title: 'S-3', name: 'Shelf Registration', icon: '🚀', badge: 'badge-offering' },
+            { family: 'F-3', pattern: /^F3(ASR)?$/, group: 'offering', title: 'F-3', name: 'Foreign Shelf Registration', icon: '🚀', badge: 'badge-offering' },
+            { family: 'S-4', pattern: /^S4$/, group: 'offering', title: 'S-4', name: 'Merger Registration', icon: '🚀', badge: 'badge-offering' },
+            { family: 'F-4', pattern: /^F4$/, group: 'offering', title: 'F-4', name: 'Foreign Merger Registration', icon: '🚀', badge: 'badge-offering' },
+            { family: '424B', pattern: /^424B\d$/, group: 'offering', title: '424B', name: 'Prospectus', icon: '🚀', badge: 'badge-offering' },
+            { family: '425', pattern: /^425$/, group: 'offering', title: 'Form 425', name: 'Merger Communication', icon: '📄', badge: 'badge-default' },
+            { family: 'S-8', pattern: /^S8(POS)?$/, group: 'employee-plan', title: 'S-8', name: 'Employee Plans', icon: '👥', badge: 'badge-default' },
+            { family: '11-K', pattern: /^11K$/, group: 'employee-plan', title: '11-K', name: 'Employee Plan', icon: '👥', badge: 'badge-default' },
+            { family: 'D', pattern: /^D$/, group: 'private', title: 'Form D', name: 'Private Offering', icon: '💼', badge: 'badge-default' },
+            { family: '497', pattern: /^497[A-Z]*$/, group: 'fund', title: 'Form 497', name: 'Fund Prospectus', icon: '📄', badge: 'badge-default' },
+            { family: '485BPOS', pattern: /^485B(POS|XT)$/, group: 'fund', title: '485BPOS', name: 'Fund Registration', icon: '📄', badge: 'badge-default' },
+            { family: 'N-CSR', pattern: /^NCSRS?$/, group: 'fund', title: 'N-CSR', name: 'Fund Report', icon: '📄', badge: 'badge-default' },
+            { family: 'N-Q', pattern: /^NQ$/, group: 'fund', title: 'N-Q', name: 'Fund Holdings', icon: '📄', badge: 'badge-default' },
+            { family: 'PX14A6G', pattern: /^PX14A6G$/, group: 'proxy', title: 'PX14A6G', name: 'Proxy Solicitation', icon: '🗳️', badge: 'badge-def14a' },
+            { family: 'UPLOAD', pattern: /^(UPLOAD|CORRESP)$/, group: 'correspondence', title: 'UPLOAD', name: 'SEC Correspondence', icon: '📄', badge: 'badge-default' }
+        ],
+        cache: new Map(),
+
+        // Returns { raw, form, family, group, isAmendment, isInsider, title, name, label, icon, badge }
+        classify: function(formType) {
+            const raw = (formType ?? '').toString().trim();
+            if (this.cache.has(raw)) return this.cache.get(raw);
+
+            // "Form 4", "FORM-D" -> "4", "D"; "DEF-14A" -> "DEF 14A"
+            const upper = raw.toUpperCase().replace(/\s+/g, ' ').replace(/^FORM[\s-]*(?=\S)/, '');
+            const isAmendment = /\/A$/.test(upper);
+            const form = upper.replace(/\/A$/, '');
+            const compact = form.replace(/[\s-]/g, '');
+            const entry = this.FAMILIES.find(f => f.pattern.test(compact));
+            // Variants (DEFA14A, 424B3, 13F-HR) keep their own name in the label
+            const title = entry && compact !== entry.family.replace(/[\s-]/g, '') ? form : entry?.title;
+
+            const info = entry ? {
+                raw: raw,
+                form: form,
+                family: entry.family,
+                group: entry.group,
+                isAmendment: isAmendment,
+                isInsider: entry.group === 'insider',
+                title: entry.title,
+                name: entry.name,
+                description: entry.description || entry.name,
+                label: `${title}${isAmendment ? '/A' : ''} (${entry.name}${isAmendment ? ' Amendment' : ''})`,
+                icon: entry.icon,
+                badge: entry.badge
+            } : {
+                raw: raw,
+                form: form,
+                family: form,
+                group: 'other',
+                isAmendment: isAmendment,
+                isInsider: false,
+                title: form,
+                name: null,
+                description: null,
+                label: raw,
+                icon: '📄',
+                badge: 'badge-default'
             };
-            return descriptions[formType] || 'Other';
+
+            this.cache.set(raw, info);
+            return info;
+        },
+
+        family: function(formType) {
+            return this.classify(formType).family;
+        },
+
+        isInsider: function(formType) {
+            return this.classify(formType).isInsider;
+        },
+
+        // Does a filing's form belong to the family named by `filter`?
+        // "8-K-5.02" style filters also require the 8-K item to be present.
+        matches: function(formType, filter, items) {
+            if (!filter) return true;
+            const itemFilter = String(filter).match(/^(8-K)-(\d\.\d{2})$/i);
+            if (itemFilter) {
+                return this.family(formType) === '8-K' &&
+                    (items || []).some(item => String(item).includes(itemFilter[2]));
+            }
+            const info = this.classify(formType);
+            return !!info.form && info.family === this.family(filter);
         }
     },
 
     API: {
-        // We will add functions to call our secure Vercel endpoints here.
+        // Quote service (api/finnhub.js). Requests made within BATCH_DELAY_MS of
+        // each other are sent as one batch, and results are cached briefly so a
+        // burst of filings for the same ticker costs a single lookup.
+        QUOTE_TTL_MS: 15000,
+        BATCH_DELAY_MS: 150,
+        MAX_BATCH: 50,
+        quoteCache: new Map(),      // ticker -> { quote, fetchedAt }
+        pendingQuotes: new Map(),   // ticker -> Promise, queued or in flight
+        quoteWaiters: new Map(),    // ticker -> resolve callback, queued for the next batch
+        batchTimer: null,
+        quoteBackoffUntil: 0,
+
+        normalizeQuote: function(data) {
+            if (!data || !data.c) return null;
+            return {
+                price: data.c,
+                previousClose: data.pc || null,
+                change: data.d ?? null,
+                changePercent: data.dp ?? null,
+                timestamp: data.t ? data.t * 1000 : Date.now()
+            };
+        },
+
+        getQuote: function(ticker) {
+            const symbol = (ticker || '').toString().trim().toUpperCase();
+            if (!symbol) return Promise.resolve(null);
+
+            const cached = this.quoteCache.get(symbol);
+            if (cached && Date.now() - cached.fetchedAt < this.QUOTE_TTL_MS) {
+                return Promise.resolve(cached.quote);
+            }
+            if (this.pendingQuotes.has(symbol)) {
+                return this.pendingQuotes.get(symbol);
+            }
+
+            const pending = new Promise(resolve => {
+                this.quoteWaiters.set(symbol, resolve);
+            });
+            this.pendingQuotes.set(symbol, pending);
+
+            if (this.quoteWaiters.size >= this.MAX_BATCH) {
+                this.flushQuoteBatch();
+            } else if (!this.batchTimer) {
+                this.batchTimer = setTimeout(() => this.flushQuoteBatch(), this.BATCH_DELAY_MS);
+            }
+            return pending;
+        },
+
+        getQuotes: async function(tickers) {
+            const symbols = [...new Set((tickers || []).filter(Boolean).map(t => t.toString().toUpperCase()))];
+            const quotes = await Promise.all(symbols.map(symbol => this.getQuote(symbol)));
+            return new Map(symbols.map((symbol, i) => [symbol, quotes[i]]));
+        },
+
+        flushQuoteBatch: async function() {
+            clearTimeout(this.batchTimer);
+            this.batchTimer = null;
+
+            const waiters = new Map(this.quoteWaiters);
+            this.quoteWaiters.clear();
+            if (waiters.size === 0) return;
+
+            const settle = (quotes = {}) => {
+                waiters.forEach((resolve, symbol) => {
+                    this.pendingQuotes.delete(symbol);
+                    const quote = this.normalizeQuote(quotes[symbol]);
+                    if (quote) {
+                        this.quoteCache.set(symbol, { quote, fetchedAt: Date.now() });
+                    }
+                    resolve(quote || this.quoteCache.get(symbol)?.quote || null);
+                });
+            };
+
+            // While the server reports Finnhub rate limiting, answer from cache only
+            if (Date.now() < this.quoteBackoffUntil) {
+                settle();
+                return;
+            }
+
+            try {
+                const symbols = Array.from(waiters.keys()).join(',');
+                const token = window.Olly ? await Olly.getAccessToken() : null;
+                const response = await fetch(`/api/finnhub?tickers=${encodeURIComponent(symbols)}`, {
+                    headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+                });
+                const body = await response.json().catch(() => ({}));
+
+                const retryAfter = body.retryAfter || Number(response.headers.get('retry-after'));
+                if (response.status === 429 || retryAfter) {
+                    this.quoteBackoffUntil = Date.now() + (retryAfter || 30) * 1000;
+                }
+                settle(response.ok ? body.quotes : {});
+            } catch (err) {
+                console.error('[OllyEngine.API] Quote batch failed', err);
+                settle();
+            }
+        }
+    },
+
+    Reference: {
+        // Company reference tables (ticker <-> CIK <-> exchange <-> SIC sector <->
+        // index membership). The bundled snapshot loads first; the server route
+        // then supplies the full SEC ticker universe when it is reachable.
+        // SIC codes missing from the tables are looked up per company from SEC
+        // submissions data (resolveSic). Only indices with a complete list are
+        // in the tables, so pages build their index filters from indices().
+        SNAPSHOT_URL: '/data/reference/snapshot.json',
+        REFRESH_URL: '/api/reference-data',
+        SIC_BATCH_DELAY_MS: 150,
+        MAX_SIC_BATCH: 50,
+        INDEX_NAMES: { SP500: 'S&P 500', NASDAQ100: 'NASDAQ 100', DOW30: 'Dow Jones 30' },
+        MARKET_CAP_TIERS: { mega: 'Mega cap', large: 'Large cap', unknown: 'Not classified' },
+        byTicker: new Map(),   // ticker -> record
+        byCik: new Map(),      // CIK without leading zeros -> record (first ticker listed)
+        indexMembers: {},      // index key -> Set of tickers
+        marketCaps: {},
+        sics: new Map(),       // CIK -> SIC code from submissions data (null: SEC has none)
+        sicWaiters: new Map(), // CIK -> resolve callbacks, queued for the next lookup
+        sicTimer: null,
+        generatedAt: null,
+        loadPromise: null,
+        listeners: [],
+
+        // SIC code ranges -> sector, checked in order so specific ranges win
+        SIC_SECTORS: [
+            [2830, 2836, 'Healthcare'], [3841, 3851, 'Healthcare'], [8000, 8099, 'Healthcare'], [5912, 5912, 'Healthcare'],
+            [3570, 3579, 'Technology'], [3660, 3679, 'Technology'], [3820, 3829, 'Technology'], [7370, 7379, 'Technology'],
+            [4800, 4899, 'Communication'], [7810, 7841, 'Communication'], [2710, 2741, 'Communication'],
+            [1300, 1399, 'Energy'], [2900, 2999, 'Energy'],
+            [4900, 4999, 'Utilities'],
+            [6500, 6553, 'Real Estate'], [6798, 6798, 'Real Estate'],
+            [6000, 6799, 'Financial'],
+            [3710, 3716, 'Consumer'], [2000, 2399, 'Consumer'], [3000, 3021, 'Consumer'], [5000, 5999, 'Consumer'],
+            [7000, 7299, 'Consumer'], [7900, 7999, 'Consumer'],
+            [1000, 1499, 'Materials'], [2400, 2699, 'Materials'], [2800, 2899, 'Materials'], [3300, 3399, 'Materials'],
+            [1500, 1799, 'Industrials'], [3400, 3999, 'Industrials'], [4000, 4799, 'Industrials'], [8700, 8799, 'Industrials'],
+            [7380, 7389, 'Industrials']
+        ],
+
+        // SEC exchange names -> the values used by the exchange filter
+        normalizeExchange: function(exchange) {
+            const name = (exchange || '').toString().toUpperCase();
+            if (!name) return 'OTC';
+            if (name.includes('NASDAQ')) return 'NASDAQ';
+            if (/AMERICAN|AMEX|MKT/.test(name)) return 'AMEX';
+            if (name.includes('NYSE')) return 'NYSE';
+            if (name.includes('CBOE')) return 'CBOE';
+            return 'OTC';
+        },
+
+        sectorForSic: function(sic) {
+            const code = Number(sic);
+            if (!code) return 'Other';
+            const match = this.SIC_SECTORS.find(([from, to]) => code >= from && code <= to);
+            return match ? match[2] : 'Other';
+        },
+
+        apply: function(snapshot) {
+            const fields = snapshot.fields;
+            const col = (name) => fields.indexOf(name);
+            const byTicker = new Map();
+            const byCik = new Map();
+
+            snapshot.data.forEach(row => {
+                const record = {
+                    cik: String(row[col('cik')]),
+                    name: row[col('name')],
+                    ticker: (row[col('ticker')] || '').toUpperCase(),
+                    exchange: this.normalizeExchange(row[col('exchange')]),
+                    sic: row[col('sic')] || null
+                };
+                if (record.ticker) byTicker.set(record.ticker, record);
+                // SEC lists a company's primary ticker first
+                if (!byCik.has(record.cik)) byCik.set(record.cik, record);
+            });
+
+            this.byTicker = byTicker;
+            this.byCik = byCik;
+            this.indexMembers = {};
+            Object.entries(snapshot.indices || {}).forEach(([key, tickers]) => {
+                this.indexMembers[key] = new Set(tickers.map(t => t.toUpperCase()));
+            });
+            this.marketCaps = snapshot.marketCaps || {};
+            this.generatedAt = snapshot.generatedAt || null;
+            this.notify();
+        },
+
+        // listener() runs whenever the tables or looked-up SIC codes change;
+        // returns an unsubscribe function
+        subscribe: function(listener) {
+            this.listeners.push(listener);
+            return () => {
+                this.listeners = this.listeners.filter(l => l !== listener);
+            };
+        },
+
+        notify: function() {
+            this.listeners.forEach(listener => {
+                try {
+                    listener();
+                } catch (error) {
+                    console.error('[OllyEngine.Reference] Listener failed', error);
+                }
+            });
+        },
+
+        // [{ key, name }] for the indices whose members are known
+        indices: function() {
+            return Object.keys(this.indexMembers)
+                .filter(key => this.indexMembers[key].size > 0)
+                .map(key => ({ key, name: this.INDEX_NAMES[key] || key }));
+        },
+
+        // Resolves once the bundled snapshot is applied; the server refresh
+        // continues in the background.
+        load: function() {
+            if (this.loadPromise) return this.loadPromise;
+
+            this.loadPromise = fetch(this.SNAPSHOT_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Snapshot request failed: ${response.status}`);
+                    return response.json();
+                })
+                .then(snapshot => {
+                    this.apply(snapshot);
+                    this.refresh();
+                })
+                .catch(err => {
+                    console.error('[OllyEngine.Reference] Failed to load bundled snapshot', err);
+                    return this.refresh();
+                });
+            return this.loadPromise;
+        },
+
+        refresh: async function() {
+            try {
+                const response = await fetch(this.REFRESH_URL);
+                if (!response.ok) throw new Error(`Reference refresh failed: ${response.status}`);
+                const tables = await response.json();
+                if (!this.generatedAt || tables.generatedAt > this.generatedAt) {
+                    this.apply(tables);
+                }
+            } catch (err) {
+                console.error('[OllyEngine.Reference] Using bundled snapshot only', err);
+            }
+        },
+
+        lookup: function(ticker, cik) {
+            const symbol = (ticker || '').toString().trim().toUpperCase();
+            if (symbol && this.byTicker.has(symbol)) return this.byTicker.get(symbol);
+            const key = String(cik || '').replace(/^0+/, '');
+            return key ? this.byCik.get(key) || null : null;
+        },
+
+        // Company suggestions for a ticker, CIK or name fragment: exact ticker
+        // and CIK matches first, then names starting with the text, then the rest
+        search: function(text, limit = 10) {
+            const query = String(text || '').trim().toUpperCase();
+            if (!query) return [];
+            const results = [];
+            const seen = new Set();
+            const add = (record) => {
+                if (record && !seen.has(record.cik) && results.length < limit) {
+                    seen.add(record.cik);
+                    results.push(record);
+                }
+            };
+
+            add(this.byTicker.get(query));
+            if (/^\d+$/.test(query)) add(this.byCik.get(query.replace(/^0+/, '')));
+
+            const prefix = [];
+            const contains = [];
+            this.byCik.forEach(record => {
+                const name = record.name.toUpperCase();
+                if (name.startsWith(query)) prefix.push(record);
+                else if (query.length > 2 && name.includes(query)) contains.push(record);
+            });
+            prefix.concat(contains).forEach(add);
+            return results;
+        },
+
+        getExchange: function(ticker, cik) {
+            const record = this.lookup(ticker, cik);
+            return record ? record.exchange : 'OTC';
+        },
+
+        getSic: function(ticker, cik) {
+            const record = this.lookup(ticker, cik);
+            if (record?.sic) return record.sic;
+            const key = String(record?.cik || cik || '').replace(/^0+/, '');
+            return this.sics.get(key) || null;
+        },
+
+        getSector: function(ticker, cik) {
+            return this.sectorForSic(this.getSic(ticker, cik));
+        },
+
+        // Looks up the company's SIC code from SEC submissions data when the
+        // tables don't have it. CIKs asked for within SIC_BATCH_DELAY_MS share
+        // one request. Resolves to the SIC code or null; never rejects.
+        resolveSic: function(cik) {
+            const key = String(cik || '').replace(/\D/g, '').replace(/^0+/, '');
+            if (!key) return Promise.resolve(null);
+            const known = this.getSic(null, key);
+            if (known || this.sics.has(key)) return Promise.resolve(known);
+
+            return new Promise(resolve => {
+                if (!this.sicWaiters.has(key)) this.sicWaiters.set(key, []);
+                this.sicWaiters.get(key).push(resolve);
+                if (!this.sicTimer) {
+                    this.sicTimer = setTimeout(() => this.flushSics(), this.SIC_BATCH_DELAY_MS);
+                }
+            });
+        },
+
+        flushSics: async function() {
+            this.sicTimer = null;
+            const batch = Array.from(this.sicWaiters.keys()).slice(0, this.MAX_SIC_BATCH);
+            const waiters = batch.map(cik => [cik, this.sicWaiters.get(cik)]);
+            batch.forEach(cik => this.sicWaiters.delete(cik));
+            if (this.sicWaiters.size > 0) {
+                this.sicTimer = setTimeout(() => this.flushSics(), this.SIC_BATCH_DELAY_MS);
+            }
+
+            let companies = {};
+            try {
+                const token = window.Olly ? await Olly.getAccessToken() : null;
+                const response = await fetch(`${this.REFRESH_URL}?ciks=${batch.join(',')}`, {
+                    headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+                });
+                if (!response.ok) throw new Error(`SIC lookup failed: ${response.status}`);
+                companies = (await response.json()).companies || {};
+            } catch (err) {
+                console.error('[OllyEngine.Reference] SIC lookup failed', err);
+            }
+
+            // CIKs left out of the answer failed upstream and may be asked again
+            Object.entries(companies).forEach(([cik, company]) => this.sics.set(cik, company?.sic || null));
+            waiters.forEach(([cik, resolves]) => resolves.forEach(resolve => resolve(this.sics.get(cik) || null)));
+            if (Object.keys(companies).length > 0) this.notify();
+        },
+
+        getIndices: function(ticker, cik) {
+            const symbol = (ticker || this.lookup(ticker, cik)?.ticker || '').toUpperCase();
+            if (!symbol) return [];
+            return Object.keys(this.indexMembers).filter(key => this.indexMembers[key].has(symbol));
+        },
+
+        // Tiers come from the snapshot; index members without one are at least
+        // large caps, everyone else is 'unknown' (a filter value of its own)
+        getMarketCap: function(ticker, cik) {
+            const symbol = (ticker || this.lookup(ticker, cik)?.ticker || '').toUpperCase();
+            if (this.marketCaps[symbol]) return this.marketCaps[symbol];
+            return this.getIndices(symbol).length > 0 ? 'large' : 'unknown';
+        }
+    },
+
+    Insider: {
+        // Normalized Form 3/4/5 transactions from sec-api's insider-trading
+        // payloads (nonDerivativeTable / derivativeTable).
+        TRANSACTION_CODES: {
+            P: 'Open-market purchase',
+            S: 'Open-market sale',
+            A: 'Grant or award',
+            M: 'Option exercise',
+            F: 'Tax withholding',
+            G: 'Gift',
+            C: 'Conversion',
+            D: 'Disposition to issuer',
+            X: 'Exercise of derivative',
+            J: 'Other acquisition or disposition'
+        },
+        PAYLOAD_BATCH_DELAY_MS: 200,
+        MAX_PAYLOAD_BATCH: 50,
+        payloadCache: new Map(),   // accessionNo -> Promise<payload | null>
+        payloadWaiters: new Map(), // accessionNo -> { resolve, reject }, queued for the next batch
+        payloadTimer: null,
+
+        toNumber: function(value) {
+            const n = Number(value);
+            return Number.isFinite(n) ? n : null;
+        },
+
+        parseTransaction: function(tx, table) {
+            const shares = this.toNumber(tx.amounts?.shares);
+            const price = this.toNumber(tx.amounts?.pricePerShare);
+            const code = tx.coding?.code || '';
+            return {
+                table: table,
+                security: tx.securityTitle || '',
+                date: tx.transactionDate || '',
+                code: code,
+                codeDescription: this.TRANSACTION_CODES[code] || 'Other',
+                shares: shares,
+                price: price,
+                value: shares !== null && price ? shares * price : null,
+                acquiredDisposed: tx.amounts?.acquiredDisposedCode || '',
+                ownership: tx.ownershipNature?.directOrIndirectOwnership || '',
+                ownershipNature: tx.ownershipNature?.natureOfOwnership || '',
+                sharesOwnedAfter: this.toNumber(tx.postTransactionAmounts?.sharesOwnedFollowingTransaction),
+                exercisePrice: table === 'derivative' ? this.toNumber(tx.conversionOrExercisePrice) : null,
+                underlyingShares: table === 'derivative' ? this.toNumber(tx.underlyingSecurity?.shares) : null
+            };
+        },
+
+        parseTransactions: function(filing) {
+            if (!filing) return [];
+            const nonDerivative = filing.nonDerivativeTable?.transactions || [];
+            const derivative = filing.derivativeTable?.transactions || [];
+            return [
+                ...nonDerivative.map(tx => this.parseTransaction(tx, 'nonDerivative')),
+                ...derivative.map(tx => this.parseTransaction(tx, 'derivative'))
+            ];
+        },
+
+        // Net dollar value of priced non-derivative transactions: acquisitions
+        // count positive, dispositions negative, and `direction` is its sign.
+        // Open-market purchases and sales (P/S) are also netted on their own,
+        // since grants and tax withholding aren't trading signals; a Form 4
+        // with a small purchase and a large withholding is an open-market buy
+        // but a net sell.
+        summarize: function(transactions) {
+            const summary = {
+                netValue: 0, boughtValue: 0, soldValue: 0,
+                openMarketValue: 0, purchases: 0, sales: 0,
+                count: transactions.length, direction: 'none', openMarketDirection: 'none'
+            };
+
+            transactions.filter(t => t.table === 'nonDerivative' && t.value).forEach(t => {
+                if (t.acquiredDisposed === 'A') {
+                    summary.boughtValue += t.value;
+                    summary.netValue += t.value;
+                } else if (t.acquiredDisposed === 'D') {
+                    summary.soldValue += t.value;
+                    summary.netValue -= t.value;
+                }
+                if (t.code === 'P') {
+                    summary.purchases++;
+                    summary.openMarketValue += t.value;
+                }
+                if (t.code === 'S') {
+                    summary.sales++;
+                    summary.openMarketValue -= t.value;
+                }
+            });
+
+            const sign = (value) => (value > 0 ? 'buy' : value < 0 ? 'sell' : 'none');
+            summary.direction = sign(summary.netValue);
+            summary.openMarketDirection = sign(summary.openMarketValue);
+            return summary;
+        },
+
+        // "Net sell $1.20M", followed by the open-market figure when it says
+        // something the net doesn't: "Net sell $1.20M (open market: buy $50.0K)"
+        summaryLabel: function(summary) {
+            if (summary.direction === 'none' && summary.openMarketDirection === 'none') return '';
+            const figure = (direction, value) => `${direction} ${this.formatValue(Math.abs(value))}`;
+            const openMarket = summary.openMarketDirection === 'none' ? '' : figure(summary.openMarketDirection, summary.openMarketValue);
+            if (summary.direction === 'none') return `Open market: ${openMarket}`;
+
+            const net = `Net ${figure(summary.direction, summary.netValue)}`;
+            return openMarket && summary.openMarketValue !== summary.netValue ? `${net} (open market: ${openMarket})` : net;
+        },
+
+        formatValue: function(value) {
+            const abs = Math.abs(value || 0);
+            const sign = value < 0 ? '-' : '';
+            if (abs >= 1e9) return `${sign}$${(abs / 1e9).toFixed(2)}B`;
+            if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(2)}M`;
+            if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(1)}K`;
+            return `${sign}$${abs.toFixed(0)}`;
+        },
+
+        // Streamed filings only carry metadata, so fetch the full insider-trading
+        // record by accession number. Payloads are kept with the filing in the
+        // local archive, so a reload doesn't ask again, and accession numbers
+        // requested within PAYLOAD_BATCH_DELAY_MS share one sec-api call.
+        fetchPayload: function(accessionNo) {
+            if (!accessionNo) return Promise.resolve(null);
+            if (!this.payloadCache.has(accessionNo)) {
+                const request = OllyEngine.Archive.get(accessionNo)
+                    .catch(() => null)
+                    .then(record => record?.insiderPayload || this.queuePayload(accessionNo))
+                    .catch(err => {
+                        this.payloadCache.delete(accessionNo);
+                        throw err;
+                    });
+                this.payloadCache.set(accessionNo, request);
+            }
+            return this.payloadCache.get(accessionNo);
+        },
+
+        queuePayload: function(accessionNo) {
+            return new Promise((resolve, reject) => {
+                this.payloadWaiters.set(accessionNo, { resolve, reject });
+                if (!this.payloadTimer) {
+                    this.payloadTimer = setTimeout(() => this.flushPayloads(), this.PAYLOAD_BATCH_DELAY_MS);
+                }
+            });
+        },
+
+        flushPayloads: async function() {
+            this.payloadTimer = null;
+            const batch = Array.from(this.payloadWaiters.entries()).slice(0, this.MAX_PAYLOAD_BATCH);
+            batch.forEach(([accessionNo]) => this.payloadWaiters.delete(accessionNo));
+            if (this.payloadWaiters.size > 0) {
+                this.payloadTimer = setTimeout(() => this.flushPayloads(), this.PAYLOAD_BATCH_DELAY_MS);
+            }
+
+            try {
+                const data = await Olly.callSecApi('insider-trading', {
+                    query: `accessionNo:(${batch.map(([accessionNo]) => `"${accessionNo}"`).join(' OR ')})`,
+                    from: 0,
+                    size: batch.length
+                });
+                const payloads = new Map((data.transactions || data.data || []).map(p => [p.accessionNo, p]));
+                batch.forEach(([accessionNo, waiter]) => {
+                    const payload = payloads.get(accessionNo) || null;
+                    if (payload) {
+                        OllyEngine.Archive.update(accessionNo, { insiderPayload: payload }).catch(() => {});
+                    }
+                    waiter.resolve(payload);
+                });
+            } catch (err) {
+                batch.forEach(([, waiter]) => waiter.reject(err));
+            }
+        },
+
+        // Returns { transactions, summary } for a filing, fetching the payload
+        // when the filing doesn't already carry its transaction tables.
+        getTrades: async function(filing) {
+            const hasTables = filing.nonDerivativeTable || filing.derivativeTable;
+            const payload = hasTables ? filing : await this.fetchPayload(filing.accessionNo);
+            const transactions = this.parseTransactions(payload);
+            return { transactions, summary: this.summarize(transactions) };
+        },
+
+        // Open-market purchases (P) and sales (S) from one Form 3/4/5 payload,
+        // tagged with issuer and reporting owner so they can be grouped across
+        // filings.
+        openMarketTrades: function(payload) {
+            if (!payload?.issuer || !payload?.reportingOwner) return [];
+            const owner = payload.reportingOwner;
+            const relationship = owner.relationship || {};
+            const role = relationship.officerTitle
+                || (relationship.isDirector ? 'Director' : '')
+                || (relationship.isTenPercentOwner ? '10% Owner' : '')
+                || (relationship.isOther ? relationship.otherText || 'Other' : '');
+            const filedDate = (payload.filedAt || '').slice(0, 10);
+
+            return this.parseTransactions(payload)
+                .filter(t => t.table === 'nonDerivative' && (t.code === 'P' || t.code === 'S'))
+                .map(t => ({
+                    ...t,
+                    date: (t.date || filedDate).slice(0, 10),
+                    direction: t.code === 'P' ? 'buy' : 'sell',
+                    accessionNo: payload.accessionNo || '',
+                    filedAt: payload.filedAt || '',
+                    issuerCik: String(payload.issuer.cik || '').replace(/^0+/, ''),
+                    issuerName: payload.issuer.name || 'Unknown',
+                    ticker: payload.issuer.tradingSymbol || '',
+                    ownerCik: String(owner.cik || '').replace(/^0+/, ''),
+                    ownerName: owner.name || 'Unknown',
+                    role: role
+                }));
+        },
+
+        // Groups open-market trades by issuer and direction and finds, for each
+        // group, the rolling window of `windowDays` with the most distinct
+        // insiders (ties broken by dollar value). Windows with fewer than
+        // `minInsiders` insiders are dropped. Pass each filing's trades once.
+        detectClusters: function(trades, options = {}) {
+            const windowMs = (options.windowDays || 14) * 86400000;
+            const minInsiders = options.minInsiders || 2;
+            const groups = new Map();
+
+            trades.forEach(t => {
+                const time = Date.parse(t.date);
+                if (!t.issuerCik || !t.ownerCik || Number.isNaN(time)) return;
+                const key = `${t.issuerCik}|${t.direction}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push({ trade: t, time: time });
+            });
+
+            const clusters = [];
+            groups.forEach(entries => {
+                entries.sort((a, b) => a.time - b.time);
+                const owners = new Map();   // ownerCik -> trades in window
+                let windowValue = 0;
+                let best = null;
+                let left = 0;
+
+                entries.forEach((entry, right) => {
+                    owners.set(entry.trade.ownerCik, (owners.get(entry.trade.ownerCik) || 0) + 1);
+                    windowValue += entry.trade.value || 0;
+
+                    while (entry.time - entries[left].time > windowMs) {
+                        const leaving = entries[left].trade;
+                        const remaining = owners.get(leaving.ownerCik) - 1;
+                        if (remaining === 0) owners.delete(leaving.ownerCik);
+                        else owners.set(leaving.ownerCik, remaining);
+                        windowValue -= leaving.value || 0;
+                        left++;
+                    }
+
+                    if (!best || owners.size > best.insiderCount ||
+                        (owners.size === best.insiderCount && windowValue > best.totalValue)) {
+                        best = { insiderCount: owners.size, totalValue: windowValue, left: left, right: right };
+                    }
+                });
+
+                if (!best || best.insiderCount < minInsiders) return;
+                clusters.push(this.buildCluster(entries.slice(best.left, best.right + 1).map(e => e.trade)));
+            });
+
+            return clusters.sort((a, b) => b.insiderCount - a.insiderCount || b.totalValue - a.totalValue);
+        },
+
+        buildCluster: function(trades) {
+            const first = trades[0];
+            const insiders = new Map();
+            trades.forEach(t => {
+                if (!insiders.has(t.ownerCik)) {
+                    insiders.set(t.ownerCik, {
+                        cik: t.ownerCik, name: t.ownerName, role: t.role,
+                        value: 0, shares: 0, tradeCount: 0, accessionNos: new Set(),
+                        firstDate: t.date, lastDate: t.date
+                    });
+                }
+                const insider = insiders.get(t.ownerCik);
+                insider.value += t.value || 0;
+                insider.shares += t.shares || 0;
+                insider.tradeCount++;
+                insider.accessionNos.add(t.accessionNo);
+                insider.lastDate = t.date;
+            });
+
+            const list = [...insiders.values()]
+                .map(i => ({ ...i, accessionNos: [...i.accessionNos] }))
+                .sort((a, b) => b.value - a.value);
+
+            return {
+                issuerCik: first.issuerCik,
+                issuerName: first.issuerName,
+                ticker: trades.find(t => t.ticker)?.ticker || '',
+                direction: first.direction,
+                start: first.date,
+                end: trades[trades.length - 1].date,
+                insiderCount: list.length,
+                totalValue: list.reduce((sum, i) => sum + i.value, 0),
+                totalShares: list.reduce((sum, i) => sum + i.shares, 0),
+                tradeCount: trades.length,
+                insiders: list
+            };
+        },
+
+        // Every Form 3/4/5 filed by one reporting owner, newest first. Pages
+        // through the full history; past sec-api's 10,000-result offset limit
+        // it continues from the oldest filing date seen so far. sec-api also
+        // caps total at 10,000, so it's a progress hint and never a stop signal.
+        HISTORY_PAGE_SIZE: 50,
+        HISTORY_MAX_OFFSET: 10000,
+
+        fetchOwnerHistory: async function(owner, onProgress) {
+            const cik = String(owner.cik || '').replace(/^0+/, '');
+            const baseQuery = cik
+                ? `reportingOwner.cik:${cik}`
+                : `reportingOwner.name:"${String(owner.name || '').replace(/"/g, '')}"`;
+            const byAccession = new Map();
+            let total = null;
+            let before = null;
+            let from = 0;
+
+            while (true) {
+                // Timestamps carry colons, which must be quoted in a range
+                const query = before ? `${baseQuery} AND filedAt:[* TO "${before}"]` : baseQuery;
+                const data = await Olly.callSecApi('insider-trading', {
+                    query: query,
+                    from: from,
+                    size: this.HISTORY_PAGE_SIZE,
+                    sort: [{ filedAt: { order: 'desc' } }]
+                });
+                const results = data.transactions || data.data || [];
+                if (total === null) total = data.total?.value ?? data.total ?? results.length;
+
+                const sizeBefore = byAccession.size;
+                results.forEach(f => byAccession.set(f.accessionNo || f.id, f));
+                total = Math.max(total, byAccession.size);
+                if (onProgress) onProgress(byAccession.size, total);
+
+                if (results.length < this.HISTORY_PAGE_SIZE) break;
+                from += this.HISTORY_PAGE_SIZE;
+                if (from + this.HISTORY_PAGE_SIZE > this.HISTORY_MAX_OFFSET) {
+                    // Restart from the oldest date reached; overlap is removed by accession
+                    const oldest = results[results.length - 1].filedAt;
+                    if (byAccession.size === sizeBefore || oldest === before) break;
+                    before = oldest;
+                    from = 0;
+                }
+            }
+
+            return { filings: [...byAccession.values()], total: total || 0, query: baseQuery };
+        },
+
+        // Drops originals that were later amended: an N/A replaces the original
+        // it names via dateOfOriginalSubmission (or, failing that, the latest
+        // earlier original for the same issuer and period).
+        dedupeAmendments: function(filings) {
+            const isAmendment = (f) => /\/A$/i.test(f.documentType || f.formType || '');
+            const keyFor = (f) => [
+                String(f.issuer?.cik || '').replace(/^0+/, ''),
+                String(f.documentType || f.formType || '').replace(/\/A$/i, ''),
+                f.periodOfReport || ''
+            ].join('|');
+
+            const originals = filings.filter(f => !isAmendment(f));
+            const superseded = new Set();
+            filings.filter(isAmendment).forEach(amendment => {
+                const candidates = originals
+                    .filter(f => !superseded.has(f) && keyFor(f) === keyFor(amendment) && f.filedAt <= amendment.filedAt)
+                    .sort((a, b) => b.filedAt.localeCompare(a.filedAt));
+                const originalDate = (amendment.dateOfOriginalSubmission || '').slice(0, 10);
+                const match = candidates.find(f => originalDate && f.filedAt.slice(0, 10) === originalDate) || candidates[0];
+                if (match) {
+                    superseded.add(match);
+                    amendment.amends = match.accessionNo;
+                }
+            });
+
+            return filings.filter(f => !superseded.has(f));
+        },
+
+        describeRoles: function(relationship = {}) {
+            const roles = [];
+            if (relationship.isDirector) roles.push('Director');
+            if (relationship.isOfficer) roles.push(relationship.officerTitle || 'Officer');
+            if (relationship.isTenPercentOwner) roles.push('10% Owner');
+            if (relationship.isOther) roles.push(relationship.otherText || 'Other');
+            return roles;
+        },
+
+        // Career by issuer CIK: roles with first/last dates, form counts and a
+        // holdings series built from post-transaction share counts (Form 3
+        // holdings seed the series). Holdings are summed across securities and
+        // direct/indirect positions using the latest known amount for each.
+        buildCareer: function(filings) {
+            const careers = new Map();
+            const sorted = [...filings].sort((a, b) => (a.filedAt || '').localeCompare(b.filedAt || ''));
+
+            sorted.forEach(f => {
+                const issuerCik = String(f.issuer?.cik || '').replace(/^0+/, '');
+                if (!issuerCik) return;
+                const date = (f.periodOfReport || f.filedAt || '').slice(0, 10);
+
+                if (!careers.has(issuerCik)) {
+                    careers.set(issuerCik, {
+                        issuerCik: issuerCik,
+                        issuerName: f.issuer.name || 'Unknown',
+                        ticker: '',
+                        roles: new Map(),
+                        firstDate: date,
+                        lastDate: date,
+                        filings: [],
+                        forms: new Map(),
+                        amendments: 0,
+                        positions: new Map(),
+                        holdings: []
+                    });
+                }
+                const career = careers.get(issuerCik);
+                if (f.issuer.tradingSymbol) career.ticker = f.issuer.tradingSymbol.toUpperCase();
+                career.issuerName = f.issuer.name || career.issuerName;
+                career.filings.push(f);
+                if (f.amends) career.amendments++;
+                if (date < career.firstDate) career.firstDate = date;
+                if (date > career.lastDate) career.lastDate = date;
+
+                const form = f.documentType || f.formType || '';
+                career.forms.set(form, (career.forms.get(form) || 0) + 1);
+
+                this.describeRoles(f.reportingOwner?.relationship).forEach(role => {
+                    const span = career.roles.get(role) || { role: role, start: date, end: date };
+                    if (date < span.start) span.start = date;
+                    if (date > span.end) span.end = date;
+                    career.roles.set(role, span);
+                });
+
+                const rows = [
+                    ...(f.nonDerivativeTable?.holdings || []).map(h => ({
+                        security: h.securityTitle,
+                        ownership: h.ownershipNature?.directOrIndirectOwnership,
+                        shares: this.toNumber(h.postTransactionAmounts?.sharesOwnedFollowingTransaction)
+                    })),
+                    ...(f.nonDerivativeTable?.transactions || []).map(t => ({
+                        security: t.securityTitle,
+                        ownership: t.ownershipNature?.directOrIndirectOwnership,
+                        shares: this.toNumber(t.postTransactionAmounts?.sharesOwnedFollowingTransaction)
+                    }))
+                ].filter(r => r.shares !== null);
+
+                if (rows.length > 0) {
+                    rows.forEach(r => career.positions.set(`${r.security}|${r.ownership}`, r.shares));
+                    const shares = [...career.positions.values()].reduce((sum, s) => sum + s, 0);
+                    const last = career.holdings[career.holdings.length - 1];
+                    if (last && last.date === date) last.shares = shares;
+                    else career.holdings.push({ date: date, shares: shares });
+                }
+            });
+
+            return [...careers.values()]
+                .map(({ positions, ...career }) => ({
+                    ...career,
+                    roles: [...career.roles.values()],
+                    forms: [...career.forms.entries()].map(([form, count]) => ({ form, count })),
+                    filings: career.filings.reverse()
+                }))
+                .sort((a, b) => b.lastDate.localeCompare(a.lastDate));
+        }
+    },
+
+    Archive: {
+        // Local IndexedDB archive of every filing the stream receives, keyed by
+        // accession number, so a reload or a look-back doesn't need the API.
+        DB_NAME: 'ollytracker-archive',
+        DB_VERSION: 1,
+        STORE: 'filings',
+        RETENTION_DAYS: 90,
+        dbPromise: null,
+
+        open: function() {
+            if (this.dbPromise) return this.dbPromise;
+            if (!('indexedDB' in window)) {
+                return Promise.reject(new Error('IndexedDB is not available in this browser'));
+            }
+
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const store = db.createObjectStore(this.STORE, { keyPath: 'accessionNo' });
+                    store.createIndex('ticker', 'ticker', { unique: false });
+                    store.createIndex('cik', 'cikKey', { unique: false });
+                    store.createIndex('formType', 'formType', { unique: false });
+                    store.createIndex('filedDate', 'filedDate', { unique: false });
+                    store.createIndex('receivedDate', 'receivedDate', { unique: false });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            this.dbPromise.then(() => this.prune()).catch(err => {
+                console.error('[OllyEngine.Archive] Failed to open archive', err);
+            });
+            return this.dbPromise;
+        },
+
+        localDateKey: function(date) {
+            const d = new Date(date);
+            return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+        },
+
+        // Wraps an IDBRequest (or transaction) in a promise
+        promisify: function(request) {
+            return new Promise((resolve, reject) => {
+                if (request instanceof IDBTransaction) {
+                    request.oncomplete = () => resolve();
+                    request.onerror = () => reject(request.error);
+                } else {
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                }
+            });
+        },
+
+        put: async function(filing) {
+            if (!filing || !filing.accessionNo) return;
+            const receivedAt = filing.receivedAt || Date.now();
+            const record = {
+                ...filing,
+                ticker: (filing.ticker || '').toUpperCase(),
+                cikKey: String(filing.cik || '').replace(/^0+/, ''),
+                formType: (filing.formType || '').toString(),
+                filedDate: (filing.filedAt || '').toString().slice(0, 10),
+                receivedAt: receivedAt,
+                receivedDate: this.localDateKey(receivedAt)
+            };
+
+            const db = await this.open();
+            const tx = db.transaction(this.STORE, 'readwrite');
+            tx.objectStore(this.STORE).put(record);
+            return this.promisify(tx);
+        },
+
+        // Filings received today (local time), oldest first, for rehydrating the feed
+        getToday: async function() {
+            const db = await this.open();
+            const index = db.transaction(this.STORE).objectStore(this.STORE).index('receivedDate');
+            const records = await this.promisify(index.getAll(this.localDateKey(Date.now())));
+            return records.sort((a, b) => a.receivedAt - b.receivedAt);
+        },
+
+        // Filings received in the last `days` days, oldest first
+        getReceivedSince: async function(days) {
+            const from = this.localDateKey(Date.now() - days * 86400000);
+            const db = await this.open();
+            const index = db.transaction(this.STORE).objectStore(this.STORE).index('receivedDate');
+            const records = await this.promisify(index.getAll(IDBKeyRange.lowerBound(from)));
+            return records.sort((a, b) => a.receivedAt - b.receivedAt);
+        },
+
+        get: async function(accessionNo) {
+            if (!accessionNo) return null;
+            const db = await this.open();
+            return (await this.promisify(db.transaction(this.STORE).objectStore(this.STORE).get(accessionNo))) || null;
+        },
+
+        // Merges `changes` into an archived filing. Resolves false if it isn't archived.
+        update: async function(accessionNo, changes) {
+            if (!accessionNo) return false;
+            const db = await this.open();
+            const tx = db.transaction(this.STORE, 'readwrite');
+            const store = tx.objectStore(this.STORE);
+            const record = await this.promisify(store.get(accessionNo));
+            if (record) store.put({ ...record, ...changes });
+            await this.promisify(tx);
+            return !!record;
+        },
+
+        // criteria: { ticker, cik, formType, from, to, text, limit }
+        // Uses the most selective index available and filters the rest in memory.
+        search: async function(criteria = {}) {
+            const ticker = (criteria.ticker || '').trim().toUpperCase();
+            const cik = (criteria.cik || '').trim().replace(/^0+/, '');
+            const formType = (criteria.formType || '').trim().toUpperCase();
+            const text = (criteria.text || '').trim().toLowerCase();
+            const limit = criteria.limit || 200;
+
+            const db = await this.open();
+            const store = db.transaction(this.STORE).objectStore(this.STORE);
+
+            let records;
+            if (ticker) {
+                records = await this.promisify(store.index('ticker').getAll(ticker));
+            } else if (cik) {
+                records = await this.promisify(store.index('cik').getAll(cik));
+            } else if (criteria.from || criteria.to) {
+                const range = IDBKeyRange.bound(criteria.from || '0000-00-00', criteria.to || '9999-99-99');
+                records = await this.promisify(store.index('filedDate').getAll(range));
+            } else {
+                records = await this.promisify(store.getAll());
+            }
+
+            return records
+                .filter(r => !cik || r.cikKey === cik)
+                .filter(r => !formType || OllyEngine.Forms.matches(r.formType, formType, r.items))
+                .filter(r => !criteria.from || r.filedDate >= criteria.from)
+                .filter(r => !criteria.to || r.filedDate <= criteria.to)
+                .filter(r => !text || (r.companyName || '').toLowerCase().includes(text) ||
+                                     (r.reportingOwnerName || '').toLowerCase().includes(text))
+                .sort((a, b) => (b.filedAt || '').localeCompare(a.filedAt || ''))
+                .slice(0, limit);
+        },
+
+        count: async function() {
+            const db = await this.open();
+            return this.promisify(db.transaction(this.STORE).objectStore(this.STORE).count());
+        },
+
+        prune: async function() {
+            const cutoff = this.localDateKey(Date.now() - this.RETENTION_DAYS * 86400000);
+            const db = await this.open();
+            const tx = db.transaction(this.STORE, 'readwrite');
+            const request = tx.objectStore(this.STORE).index('receivedDate').openCursor(IDBKeyRange.upperBound(cutoff, true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            return this.promisify(tx);
+        }
+    },
+
+    Reactions: {
+        // Price reaction to each streamed filing, stored on its Archive record:
+        //   reaction: { ticker, receipt: { price, at },
+        //     marks: { m15, h1, close, d1 },   each { due, price?, at?, missed?, na? }
+        //     direction: 'buy' | 'sell' | 'none' | null }   (insider filings only)
+        // +15m and +1h must be quoted within TOLERANCE_MS of the mark, and only
+        // apply when the filing and the mark both fall in regular trading hours;
+        // otherwise they're n/a, since a quote then is the last close. Close is the
+        // first 4pm New York close after receipt and +1 day the close after that;
+        // a close missed while the page was shut is read back from the next
+        // session's previous close. Exchange holidays count as trading days.
+        MARKS: { m15: '+15m', h1: '+1h', close: 'Close', d1: '+1 day' },
+        INTRADAY_MS: { m15: 15 * 60000, h1: 60 * 60000 },
+        TOLERANCE_MS: 15 * 60000,
+        SWEEP_MS: 60000,
+        LOOKBACK_DAYS: 7,
+        MARKET_TZ: 'America/New_York',
+        OPEN_MINUTES: 9 * 60 + 30,
+        CLOSE_MINUTES: 16 * 60,
+        pending: new Map(),   // accessionNo -> reaction with marks still open
+        sweepTimer: null,
+        sweeping: false,
+        formatter: null,
+
+        // { date: 'YYYY-MM-DD', minutes past midnight } in New York
+        marketParts: function(ts) {
+            if (!this.formatter) {
+                this.formatter = new Intl.DateTimeFormat('en-US', {
+                    timeZone: this.MARKET_TZ, hourCycle: 'h23',
+                    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+                });
+            }
+            const parts = {};
+            this.formatter.formatToParts(new Date(ts)).forEach(part => { parts[part.type] = part.value; });
+            return {
+                date: `${parts.year}-${parts.month}-${parts.day}`,
+                minutes: Number(parts.hour) * 60 + Number(parts.minute)
+            };
+        },
+
+        // 4pm New York on `date`, whatever the daylight saving offset
+        closeOn: function(date) {
+            const guess = Date.parse(`${date}T16:00:00Z`);
+            return guess + (this.CLOSE_MINUTES - this.marketParts(guess).minutes) * 60000;
+        },
+
+        // Between the 9:30 open and the 4pm close of a weekday
+        inSession: function(ts) {
+            const { date, minutes } = this.marketParts(ts);
+            const day = new Date(`${date}T12:00:00Z`).getUTCDay();
+            return day !== 0 && day !== 6 && minutes >= this.OPEN_MINUTES && minutes <= this.CLOSE_MINUTES;
+        },
+
+        tradingDayAfter: function(date) {
+            const day = new Date(`${date}T12:00:00Z`);
+            do {
+                day.setUTCDate(day.getUTCDate() + 1);
+            } while (day.getUTCDay() === 0 || day.getUTCDay() === 6);
+            return day.toISOString().slice(0, 10);
+        },
+
+        // The first weekday close at or after `ts`
+        nextClose: function(ts) {
+            const { date, minutes } = this.marketParts(ts);
+            const day = new Date(`${date}T12:00:00Z`);
+            const weekend = day.getUTCDay() === 0 || day.getUTCDay() === 6;
+            return this.closeOn(weekend || minutes >= this.CLOSE_MINUTES ? this.tradingDayAfter(date) : date);
+        },
+
+        schedule: function(receivedAt) {
+            const close = this.nextClose(receivedAt);
+            const marks = {
+                m15: { due: receivedAt + this.INTRADAY_MS.m15 },
+                h1: { due: receivedAt + this.INTRADAY_MS.h1 },
+                close: { due: close },
+                d1: { due: this.nextClose(close + 60000) }
+            };
+            Object.keys(this.INTRADAY_MS).forEach(key => {
+                if (!this.isApplicable(key, marks[key])) marks[key].na = true;
+            });
+            return marks;
+        },
+
+        // False for intraday marks outside regular hours. Also checked when
+        // reading returns, for records captured before marks were flagged.
+        isApplicable: function(key, mark) {
+            if (!this.INTRADAY_MS[key]) return true;
+            if (!mark || mark.na) return false;
+            return this.inSession(mark.due - this.INTRADAY_MS[key]) && this.inSession(mark.due);
+        },
+
+        isOpen: function(mark) {
+            return !!mark && mark.price === undefined && !mark.missed && !mark.na;
+        },
+
+        isComplete: function(reaction) {
+            return !Object.values(reaction.marks).some(mark => this.isOpen(mark));
+        },
+
+        // The price for a due mark from `quote`, or null if it can't give one
+        priceFor: function(key, mark, quote, now) {
+            if (now <= mark.due + this.TOLERANCE_MS) return quote.price;
+            if (this.INTRADAY_MS[key]) return null;
+            const dueDate = this.marketParts(mark.due).date;
+            const quoteDate = this.marketParts(quote.timestamp).date;
+            if (quoteDate === dueDate && quote.timestamp <= mark.due + this.TOLERANCE_MS) return quote.price;
+            if (quoteDate === this.tradingDayAfter(dueDate)) return quote.previousClose;
+            return null;
+        },
+
+        // Past this a mark can no longer be taken
+        isLost: function(key, mark, now) {
+            if (this.INTRADAY_MS[key]) return now > mark.due + this.TOLERANCE_MS;
+            return now > this.closeOn(this.tradingDayAfter(this.marketParts(mark.due).date));
+        },
+
+        // Records the receipt price for a newly archived filing and schedules its
+        // follow-up captures. Returns the reaction, which later sweeps fill in.
+        start: async function(filing, quote) {
+            if (!filing.accessionNo || !filing.ticker || !quote?.price) return null;
+            const reaction = {
+                ticker: filing.ticker.toUpperCase(),
+                receipt: { price: quote.price, at: Date.now() },
+                marks: this.schedule(filing.receivedAt || Date.now()),
+                direction: null
+            };
+            this.pending.set(filing.accessionNo, reaction);
+            await OllyEngine.Archive.update(filing.accessionNo, { reaction });
+            this.resume();
+
+            if (OllyEngine.Forms.isInsider(filing.formType)) {
+                OllyEngine.Insider.getTrades(filing)
+                    .then(({ summary }) => {
+                        // The study groups by trading signal: grants and withholding aren't one
+                        reaction.direction = summary.openMarketDirection;
+                        return OllyEngine.Archive.update(filing.accessionNo, { reaction });
+                    })
+                    .catch(err => console.error('[OllyEngine.Reactions] Failed to read trade direction', err));
+            }
+            return reaction;
+        },
+
+        // Picks up marks left open by earlier visits and starts the sweep
+        resume: async function() {
+            if (this.sweepTimer) return;
+            this.sweepTimer = setInterval(() => this.sweep(), this.SWEEP_MS);
+            try {
+                const records = await OllyEngine.Archive.getReceivedSince(this.LOOKBACK_DAYS);
+                records.forEach(record => {
+                    if (record.reaction && !this.isComplete(record.reaction) && !this.pending.has(record.accessionNo)) {
+                        this.pending.set(record.accessionNo, record.reaction);
+                    }
+                });
+            } catch (err) {
+                console.error('[OllyEngine.Reactions] Failed to load open captures', err);
+            }
+            return this.sweep();
+        },
+
+        sweep: async function() {
+            if (this.sweeping) return;
+            const now = Date.now();
+            const due = [...this.pending.entries()].filter(([, reaction]) =>
+                Object.values(reaction.marks).some(mark => this.isOpen(mark) && mark.due <= now));
+            if (due.length === 0) return;
+
+            this.sweeping = true;
+            try {
+                // One batched quote request per sweep (api/finnhub.js)
+                const quotes = await OllyEngine.API.getQuotes(due.map(([, reaction]) => reaction.ticker));
+                await Promise.all(due.map(([accessionNo, reaction]) => {
+                    const quote = quotes.get(reaction.ticker);
+                    let changed = false;
+                    Object.entries(reaction.marks).forEach(([key, mark]) => {
+                        if (!this.isOpen(mark) || mark.due > now) return;
+                        const price = quote ? this.priceFor(key, mark, quote, now) : null;
+                        if (price) {
+                            mark.price = price;
+                            mark.at = now;
+                            changed = true;
+                        } else if (this.isLost(key, mark, now)) {
+                            mark.missed = true;
+                            changed = true;
+                        }
+                    });
+                    if (this.isComplete(reaction)) this.pending.delete(accessionNo);
+                    return changed ? OllyEngine.Archive.update(accessionNo, { reaction }) : null;
+                }));
+            } catch (err) {
+                console.error('[OllyEngine.Reactions] Capture sweep failed', err);
+            } finally {
+                this.sweeping = false;
+            }
+        },
+
+        // Percent change from the receipt price to each mark taken so far
+        returns: function(reaction) {
+            const returns = {};
+            if (!reaction?.receipt?.price) return returns;
+            Object.keys(this.MARKS).forEach(key => {
+                const mark = reaction.marks?.[key];
+                if (mark?.price && this.isApplicable(key, mark)) returns[key] = (mark.price / reaction.receipt.price - 1) * 100;
+            });
+            return returns;
+        },
+
+        // Event study over archived filings. Returns { forms, items, insider },
+        // each a list of { key, label, count, marks: { m15: { n, mean, median }, ... } }
+        // grouped by form family, 8-K item and insider trade direction.
+        study: function(records) {
+            const groups = { forms: new Map(), items: new Map(), insider: new Map() };
+            const add = (map, key, label, returns) => {
+                if (!map.has(key)) map.set(key, { key, label, count: 0, samples: {} });
+                const group = map.get(key);
+                group.count++;
+                Object.entries(returns).forEach(([mark, value]) => {
+                    if (!group.samples[mark]) group.samples[mark] = [];
+                    group.samples[mark].push(value);
+                });
+            };
+
+            records.forEach(record => {
+                const returns = this.returns(record.reaction);
+                if (Object.keys(returns).length === 0) return;
+                const info = OllyEngine.Forms.classify(record.formType);
+                add(groups.forms, info.family, info.name ? `${info.title} (${info.name})` : info.title, returns);
+                if (info.family === '8-K') {
+                    // "Item 5.02: Departure of Directors..." -> 5.02
+                    const seen = new Set();
+                    (record.items || []).forEach(item => {
+                        const match = String(item).match(/(\d\.\d{2})\s*:?\s*(.*)/);
+                        if (!match || seen.has(match[1])) return;
+                        seen.add(match[1]);
+                        add(groups.items, match[1], `${match[1]}${match[2] ? ` ${match[2]}` : ''}`, returns);
+                    });
+                }
+                if (info.isInsider) {
+                    const direction = record.reaction.direction || 'unknown';
+                    const labels = { buy: 'Open-market buy', sell: 'Open-market sell', none: 'No open-market trade', unknown: 'Not yet known' };
+                    add(groups.insider, direction, labels[direction] || direction, returns);
+                }
+            });
+
+            const stats = values => {
+                if (values.length === 0) return { n: 0, mean: null, median: null };
+                const sorted = [...values].sort((a, b) => a - b);
+                const mid = Math.floor(sorted.length / 2);
+                return {
+                    n: sorted.length,
+                    mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+                    median: sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+                };
+            };
+            const finish = map => [...map.values()]
+                .map(group => ({
+                    key: group.key,
+                    label: group.label,
+                    count: group.count,
+                    marks: Object.fromEntries(Object.keys(this.MARKS).map(mark => [mark, stats(group.samples[mark] || [])]))
+                }))
+                .sort((a, b) => b.count - a.count);
+
+            return { forms: finish(groups.forms), items: finish(groups.items), insider: finish(groups.insider) };
+        }
+    },
+
+    Alerts: {
+        // User-defined alert rules, evaluated against every filing the stream
+        // processes. A rule is:
+        //   { id, name, enabled, match: 'all' | 'any',
+        //     conditions: [{ field, value }],
+        //     priority: 'urgent' | 'high' | 'normal',
+        //     sound: 'alert' | 'portfolio' | 'none',
+        //     highlight: 'gold' | 'red' | 'green' | 'blue' | 'purple' | null }
+        // Rules are stored per user in the Supabase `alert_rules` table
+        // (user_id, rules jsonb, updated_at; owner-only row level security in
+        // supabase/alert_rules.sql) and cached in localStorage.
+        TABLE: 'alert_rules',
+        STORAGE_KEY: 'ollyAlertRules',
+        PRIORITY_RANK: { normal: 0, high: 1, urgent: 2 },
+        FIELDS: {
+            formType: 'Form type',
+            ticker: 'Ticker',
+            issuerCik: 'Issuer CIK',
+            ownerCik: 'Reporting owner CIK',
+            portfolio: 'In my portfolio',
+            index: 'Index membership',
+            keyword: 'Company name contains'
+        },
+        SOUNDS: ['alert', 'portfolio', 'none'],
+        HIGHLIGHTS: ['gold', 'red', 'green', 'blue', 'purple'],
+        DEFAULT_RULES: [
+            {
+                id: 'default-portfolio',
+                name: 'Portfolio companies',
+                enabled: true,
+                match: 'all',
+                conditions: [{ field: 'portfolio', value: true }],
+                priority: 'high',
+                sound: 'portfolio',
+                highlight: 'gold'
+            },
+            {
+                id: 'default-megacap-key-forms',
+                name: 'Mega-cap key filings',
+                enabled: true,
+                match: 'all',
+                conditions: [
+                    { field: 'formType', value: ['8-K', '3', '4', '5', '13F', 'DEF 14A'] },
+                    { field: 'ticker', value: ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'TSLA', 'META', 'NVDA'] }
+                ],
+                priority: 'urgent',
+                sound: 'alert',
+                highlight: 'red'
+            },
+            {
+                id: 'default-key-forms-or-megacaps',
+                name: 'Key forms or mega-caps',
+                enabled: true,
+                match: 'any',
+                conditions: [
+                    { field: 'formType', value: ['8-K', '3', '4', '5', '13F', 'DEF 14A'] },
+                    { field: 'ticker', value: ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'TSLA', 'META', 'NVDA'] }
+                ],
+                priority: 'high',
+                sound: 'none',
+                highlight: null
+            }
+        ],
+        rules: null,
+        userId: null,
+
+        getRules: function() {
+            return this.rules || this.DEFAULT_RULES;
+        },
+
+        cacheKey: function() {
+            return this.userId ? `${this.STORAGE_KEY}:${this.userId}` : this.STORAGE_KEY;
+        },
+
+        // Loads the signed-in user's rules: the local cache first so alerts work
+        // immediately, then the saved copy from Supabase.
+        load: async function() {
+            const client = await Olly.getSupabaseClient();
+            const { data: { session } } = await client.auth.getSession();
+            this.userId = session?.user?.id || null;
+
+            try {
+                const cached = JSON.parse(localStorage.getItem(this.cacheKey()) || 'null');
+                if (Array.isArray(cached)) this.rules = cached;
+            } catch (err) {
+                console.error('[OllyEngine.Alerts] Ignoring unreadable rule cache', err);
+            }
+
+            if (!this.userId) return this.getRules();
+
+            const { data, error } = await client
+                .from(this.TABLE)
+                .select('rules')
+                .eq('user_id', this.userId)
+                .maybeSingle();
+            if (error) throw error;
+
+            if (data && Array.isArray(data.rules)) {
+                this.rules = data.rules;
+                localStorage.setItem(this.cacheKey(), JSON.stringify(this.rules));
+            }
+            return this.getRules();
+        },
+
+        save: async function(rules) {
+            this.rules = rules;
+            localStorage.setItem(this.cacheKey(), JSON.stringify(rules));
+            if (!this.userId) return;
+
+            const client = await Olly.getSupabaseClient();
+            const { error } = await client
+                .from(this.TABLE)
+                .upsert({ user_id: this.userId, rules: rules, updated_at: new Date().toISOString() });
+            if (error) throw error;
+        },
+
+        // Accepts an array or a comma-separated string
+        listValues: function(value) {
+            const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+            return list.map(v => String(v).trim()).filter(Boolean);
+        },
+
+        stripCik: function(cik) {
+            return String(cik || '').replace(/^0+/, '');
+        },
+
+        ownerCiks: function(filing) {
+            const ciks = [
+                filing.reportingOwnerCik,
+                filing.reportingOwner?.cik,
+                ...(Array.isArray(filing.reportingOwners) ? filing.reportingOwners.map(o => o.cik) : []),
+                OllyEngine.Utils.extractCIKs(filing).reportingPerson?.cik
+            ];
+            return ciks.map(cik => this.stripCik(cik)).filter(Boolean);
+        },
+
+        matchesCondition: function(condition, filing) {
+            const values = this.listValues(condition.value);
+            switch (condition.field) {
+                case 'formType':
+                    // '4' matches 4 and 4/A but not 424B5; '13F' matches 13F-HR
+                    return values.some(v => OllyEngine.Forms.matches(filing.formType, v, filing.items));
+                case 'ticker':
+                    return values.map(v => v.toUpperCase()).includes((filing.ticker || '').toUpperCase());
+                case 'issuerCik': {
+                    const issuerCik = this.stripCik(OllyEngine.Utils.extractCIKs(filing).issuer?.cik || filing.cik);
+                    return !!issuerCik && values.map(v => this.stripCik(v)).includes(issuerCik);
+                }
+                case 'ownerCik': {
+                    const owners = this.ownerCiks(filing);
+                    return values.some(v => owners.includes(this.stripCik(v)));
+                }
+                case 'portfolio':
+                    return !!filing.isPortfolioCompany === (condition.value !== false && condition.value !== 'false');
+                case 'index':
+                    return values.some(v => (filing.indices || []).includes(v.toUpperCase()));
+                case 'keyword': {
+                    const name = (filing.companyName || '').toLowerCase();
+                    return values.some(v => name.includes(v.toLowerCase()));
+                }
+                default:
+                    return false;
+            }
+        },
+
+        matchesRule: function(rule, filing) {
+            const conditions = rule.conditions || [];
+            if (conditions.length === 0) return false;
+            return rule.match === 'any'
+                ? conditions.some(c => this.matchesCondition(c, filing))
+                : conditions.every(c => this.matchesCondition(c, filing));
+        },
+
+        // The highest-priority matching rule sets the priority; sound and
+        // highlight come from the highest-priority match that defines one.
+        evaluate: function(filing) {
+            const matched = this.getRules()
+                .filter(rule => rule.enabled !== false && this.matchesRule(rule, filing))
+                .sort((a, b) => (this.PRIORITY_RANK[b.priority] || 0) - (this.PRIORITY_RANK[a.priority] || 0));
+
+            const sounding = matched.find(rule => rule.sound && rule.sound !== 'none');
+            const highlighted = matched.find(rule => rule.highlight);
+            return {
+                priority: matched[0]?.priority || 'normal',
+                sound: sounding ? sounding.sound : 'none',
+                highlight: highlighted ? highlighted.highlight : null,
+                rules: matched.map(rule => rule.name)
+            };
+        }
     },
 
     Portfolio: {
-        // We will add the unified Portfolio/Watchlist logic here.
+        // The companies and individuals the user follows: one list shared by
+        // the stream, OllyInsider and the OllyDaily digest. An item is:
+        //   { kind: 'company', ticker, cik, name }    matched by ticker or issuer CIK
+        //   { kind: 'individual', cik, name }         matched by reporting-owner CIK
+        // Stored per user in the Supabase `portfolios` table (user_id, items
+        // jsonb, updated_at; see api/_lib/portfolio.js) and cached in
+        // localStorage, so it works offline and saves once back online.
+        // Other tabs hear about changes over a BroadcastChannel and other
+        // devices through Supabase realtime; pages react via subscribe().
+        TABLE: 'portfolios',
+        STORAGE_KEY: 'ollyPortfolio',
+        CHANNEL: 'olly-portfolio',
+        items: [],
+        userId: null,
+        updatedAt: null,
+        pending: false,
+        listeners: [],
+        channel: null,
+        listening: false,
+        loading: null,
+
+        cacheKey: function() {
+            return this.userId ? `${this.STORAGE_KEY}:${this.userId}` : this.STORAGE_KEY;
+        },
+
+        stripCik: function(cik) {
+            return String(cik || '').replace(/\D/g, '').replace(/^0+/, '');
+        },
+
+        normalizeItem: function(item) {
+            if (!item) return null;
+            const cik = this.stripCik(item.cik);
+            const name = String(item.name || '').trim();
+            if (item.kind === 'individual') {
+                return cik ? { kind: 'individual', cik, name } : null;
+            }
+            const ticker = String(item.ticker || '').trim().toUpperCase();
+            return ticker || cik ? { kind: 'company', ticker, cik, name } : null;
+        },
+
+        // Loads the signed-in user's portfolio: the local cache first so pages
+        // can highlight immediately, then the saved copy from Supabase. Every
+        // caller on a page shares one load.
+        load: function() {
+            if (!this.loading) {
+                this.loading = this.loadOnce().catch(error => {
+                    this.loading = null;
+                    throw error;
+                });
+            }
+            return this.loading;
+        },
+
+        loadOnce: async function() {
+            const client = await Olly.getSupabaseClient();
+            const { data: { session } } = await client.auth.getSession();
+            this.userId = session?.user?.id || null;
+
+            const cached = this.readCache();
+            if (cached) {
+                this.items = cached.items;
+                this.updatedAt = cached.updatedAt;
+                this.pending = cached.pending;
+                this.notify('cache');
+            }
+            this.listenForChanges(client);
+
+            if (!this.userId) return this.items;
+
+            const { data, error } = await client
+                .from(this.TABLE)
+                .select('items, updated_at')
+                .eq('user_id', this.userId)
+                .maybeSingle();
+            if (error) throw error;
+
+            // Changes made offline win over an older saved copy
+            const serverTime = data ? Date.parse(data.updated_at) || 0 : 0;
+            if (this.pending && (Date.parse(this.updatedAt) || 0) >= serverTime) {
+                await this.flush();
+            } else if (data && Array.isArray(data.items)) {
+                this.adopt(data.items, data.updated_at, 'server');
+            }
+            return this.items;
+        },
+
+        readCache: function() {
+            try {
+                const cached = JSON.parse(localStorage.getItem(this.cacheKey()) || 'null');
+                if (cached && Array.isArray(cached.items)) {
+                    return {
+                        items: cached.items.map(item => this.normalizeItem(item)).filter(Boolean),
+                        updatedAt: cached.updatedAt || null,
+                        pending: !!cached.pending
+                    };
+                }
+            } catch (err) {
+                console.error('[OllyEngine.Portfolio] Ignoring unreadable portfolio cache', err);
+            }
+            return null;
+        },
+
+        writeCache: function() {
+            localStorage.setItem(this.cacheKey(), JSON.stringify({
+                items: this.items,
+                updatedAt: this.updatedAt,
+                pending: this.pending
+            }));
+        },
+
+        // Takes a copy saved elsewhere (server, another tab or device)
+        adopt: function(items, updatedAt, source) {
+            const next = items.map(item => this.normalizeItem(item)).filter(Boolean);
+            if (JSON.stringify(next) === JSON.stringify(this.items)) return;
+            this.items = next;
+            this.updatedAt = updatedAt || new Date().toISOString();
+            this.pending = false;
+            this.writeCache();
+            this.notify(source);
+        },
+
+        // Applies a local change everywhere: cache, other tabs, listeners, Supabase
+        commit: async function(items) {
+            this.items = items;
+            this.updatedAt = new Date().toISOString();
+            this.pending = !!this.userId;
+            this.writeCache();
+            if (this.channel) {
+                this.channel.postMessage({ userId: this.userId, items: this.items, updatedAt: this.updatedAt });
+            }
+            this.notify('local');
+            await this.flush();
+        },
+
+        // Saves the current items to Supabase; on failure they stay pending
+        // in the cache and are retried when the browser comes back online
+        flush: async function() {
+            if (!this.userId || !this.pending) return;
+            try {
+                const client = await Olly.getSupabaseClient();
+                const { error } = await client
+                    .from(this.TABLE)
+                    .upsert({ user_id: this.userId, items: this.items, updated_at: this.updatedAt });
+                if (error) throw error;
+                this.pending = false;
+                this.writeCache();
+            } catch (error) {
+                console.error('[OllyEngine.Portfolio] Saved locally; will sync when back online', error);
+            }
+        },
+
+        listenForChanges: function(client) {
+            if (this.listening) return;
+            this.listening = true;
+
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.channel = new BroadcastChannel(this.CHANNEL);
+                this.channel.onmessage = (event) => {
+                    const { userId, items, updatedAt } = event.data || {};
+                    if (userId === this.userId && Array.isArray(items)) this.adopt(items, updatedAt, 'tab');
+                };
+            } else {
+                window.addEventListener('storage', (event) => {
+                    if (event.key !== this.cacheKey() || !event.newValue) return;
+                    const cached = this.readCache();
+                    if (cached) this.adopt(cached.items, cached.updatedAt, 'tab');
+                });
+            }
+
+            window.addEventListener('online', () => this.flush());
+
+            if (this.userId && client.channel) {
+                client.channel(`portfolio:${this.userId}`)
+                    .on('postgres_changes', {
+                        event: '*', schema: 'public', table: this.TABLE, filter: `user_id=eq.${this.userId}`
+                    }, (payload) => {
+                        if (!this.pending && Array.isArray(payload.new?.items)) {
+                            this.adopt(payload.new.items, payload.new.updated_at, 'remote');
+                        }
+                    })
+                    .subscribe();
+            }
+        },
+
+        // listener(items, source) runs after every change; returns an unsubscribe function
+        subscribe: function(listener) {
+            this.listeners.push(listener);
+            return () => {
+                this.listeners = this.listeners.filter(l => l !== listener);
+            };
+        },
+
+        notify: function(source) {
+            this.listeners.forEach(listener => {
+                try {
+                    listener(this.items, source);
+                } catch (error) {
+                    console.error('[OllyEngine.Portfolio] Listener failed', error);
+                }
+            });
+        },
+
+        companies: function() {
+            return this.items.filter(item => item.kind === 'company');
+        },
+
+        individuals: function() {
+            return this.items.filter(item => item.kind === 'individual');
+        },
+
+        findCompany: function(ticker, cik) {
+            const symbol = String(ticker || '').toUpperCase();
+            const issuerCik = this.stripCik(cik);
+            return this.companies().find(company =>
+                (symbol && company.ticker === symbol) || (issuerCik && company.cik === issuerCik)) || null;
+        },
+
+        findIndividual: function(cik) {
+            const ownerCik = this.stripCik(cik);
+            return ownerCik ? this.individuals().find(individual => individual.cik === ownerCik) || null : null;
+        },
+
+        hasCompany: function(ticker, cik) {
+            return !!this.findCompany(ticker, cik);
+        },
+
+        hasIndividual: function(cik) {
+            return !!this.findIndividual(cik);
+        },
+
+        // { ticker, issuerCik, ownerCiks } -> does any portfolio item cover it?
+        matches: function({ ticker, issuerCik, ownerCiks = [] }) {
+            return this.hasCompany(ticker, issuerCik) || ownerCiks.some(cik => this.hasIndividual(cik));
+        },
+
+        filingIdentifiers: function(filing) {
+            return {
+                ticker: filing.ticker,
+                issuerCik: OllyEngine.Utils.extractCIKs(filing).issuer?.cik || filing.cik,
+                ownerCiks: OllyEngine.Alerts.ownerCiks(filing)
+            };
+        },
+
+        matchesFiling: function(filing) {
+            return this.matches(this.filingIdentifiers(filing));
+        },
+
+        // Adds a company, or fills in the ticker/CIK/name of one already held
+        addCompany: function(company) {
+            const item = this.normalizeItem({ ...company, kind: 'company' });
+            if (!item) return Promise.resolve();
+            const existing = this.findCompany(item.ticker, item.cik);
+            const merged = existing
+                ? { ...existing, ticker: existing.ticker || item.ticker, cik: existing.cik || item.cik, name: existing.name || item.name }
+                : item;
+            if (existing && JSON.stringify(existing) === JSON.stringify(merged)) return Promise.resolve();
+            return this.commit(existing
+                ? this.items.map(i => (i === existing ? merged : i))
+                : [...this.items, merged]);
+        },
+
+        addIndividual: function(individual) {
+            const item = this.normalizeItem({ ...individual, kind: 'individual' });
+            if (!item || this.hasIndividual(item.cik)) return Promise.resolve();
+            return this.commit([...this.items, item]);
+        },
+
+        removeCompany: function(ticker, cik) {
+            const existing = this.findCompany(ticker, cik);
+            return existing ? this.commit(this.items.filter(i => i !== existing)) : Promise.resolve();
+        },
+
+        removeIndividual: function(cik) {
+            const existing = this.findIndividual(cik);
+            return existing ? this.commit(this.items.filter(i => i !== existing)) : Promise.resolve();
+        }
+    },
+
+    Watchlists: {
+        // Named watchlists alongside the personal portfolio, which always
+        // appears first as the list with id 'portfolio'. A list is:
+        //   { id, name, ownerId, organization, sharing: 'private' | 'read' | 'edit',
+        //     items: [Portfolio items], updatedAt }
+        // Lists live in the Supabase `watchlists` table (id, owner_id, name,
+        // items jsonb, organization, sharing, created_at, updated_at). Row level
+        // security shares a list with teammates whose session JWT carries the
+        // same app_metadata.organization (set by an admin, so users can't join
+        // a team by editing their profile):
+        //   select  owner_id = auth.uid() or (sharing <> 'private' and organization = jwt org)
+        //   update  owner_id = auth.uid() or (sharing = 'edit' and organization = jwt org)
+        //   insert, delete  owner_id = auth.uid()
+        // and a trigger keeps name, sharing and organization owner-only. The
+        // table, policies and trigger are in supabase/watchlists.sql.
+        TABLE: 'watchlists',
+        STORAGE_KEY: 'ollyWatchlists',
+        CHANNEL: 'olly-watchlists',
+        PORTFOLIO_ID: 'portfolio',
+        SHARING: {
+            private: 'Only me',
+            read: 'Team can view',
+            edit: 'Team can edit'
+        },
+        lists: [],
+        userId: null,
+        organization: null,
+        listeners: [],
+        channel: null,
+        loading: null,
+
+        cacheKey: function() {
+            return this.userId ? `${this.STORAGE_KEY}:${this.userId}` : this.STORAGE_KEY;
+        },
+
+        fromRow: function(row) {
+            return {
+                id: row.id,
+                name: row.name,
+                ownerId: row.owner_id,
+                organization: row.organization || null,
+                sharing: row.sharing || 'private',
+                items: (row.items || []).map(item => OllyEngine.Portfolio.normalizeItem(item)).filter(Boolean),
+                updatedAt: row.updated_at
+            };
+        },
+
+        // Loads the user's own and shared lists (cached copy first), and the
+        // portfolio they sit beside. Every caller on a page shares one load.
+        load: function() {
+            if (!this.loading) {
+                this.loading = this.loadOnce().catch(error => {
+                    this.loading = null;
+                    throw error;
+                });
+            }
+            return this.loading;
+        },
+
+        loadOnce: async function() {
+            const client = await Olly.getSupabaseClient();
+            const { data: { session } } = await client.auth.getSession();
+            this.userId = session?.user?.id || null;
+            this.organization = session?.user?.app_metadata?.organization || null;
+
+            try {
+                const cached = JSON.parse(localStorage.getItem(this.cacheKey()) || 'null');
+                if (Array.isArray(cached)) {
+                    this.lists = cached;
+                    this.notify('cache');
+                }
+            } catch (err) {
+                console.error('[OllyEngine.Watchlists] Ignoring unreadable watchlist cache', err);
+            }
+            this.listenForChanges(client);
+            OllyEngine.Portfolio.subscribe(() => this.notify('portfolio'));
+
+            await Promise.all([this.fetchLists(client), OllyEngine.Portfolio.load()]);
+            return this.all();
+        },
+
+        fetchLists: async function(client) {
+            if (!this.userId) return;
+            const { data, error } = await client
+                .from(this.TABLE)
+                .select('*')
+                .order('name');
+            if (error) throw error;
+            this.lists = (data || []).map(row => this.fromRow(row));
+            localStorage.setItem(this.cacheKey(), JSON.stringify(this.lists));
+            this.notify('server');
+        },
+
+        // Other tabs reload after a change here; other users' edits to shared
+        // lists arrive through Supabase realtime
+        listenForChanges: function(client) {
+            if (this.channel) return;
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.channel = new BroadcastChannel(this.CHANNEL);
+                this.channel.onmessage = (event) => {
+                    if (event.data?.userId === this.userId) this.fetchLists(client).catch(() => {});
+                };
+            }
+            if (this.userId && client.channel) {
+                client.channel(`watchlists:${this.userId}`)
+                    .on('postgres_changes', { event: '*', schema: 'public', table: this.TABLE },
+                        () => this.fetchLists(client).catch(() => {}))
+                    .subscribe();
+            }
+        },
+
+        subscribe: function(listener) {
+            this.listeners.push(listener);
+            return () => {
+                this.listeners = this.listeners.filter(l => l !== listener);
+            };
+        },
+
+        notify: function(source) {
+            this.listeners.forEach(listener => {
+                try {
+                    listener(this.all(), source);
+                } catch (error) {
+                    console.error('[OllyEngine.Watchlists] Listener failed', error);
+                }
+            });
+        },
+
+        // The portfolio first, then the user's own lists, then shared ones
+        all: function() {
+            const portfolio = {
+                id: this.PORTFOLIO_ID,
+                name: 'My Portfolio',
+                ownerId: this.userId,
+                organization: null,
+                sharing: 'private',
+                items: OllyEngine.Portfolio.items,
+                updatedAt: OllyEngine.Portfolio.updatedAt
+            };
+            const own = this.lists.filter(list => this.isOwner(list));
+            const shared = this.lists.filter(list => !this.isOwner(list));
+            return [portfolio, ...own, ...shared];
+        },
+
+        get: function(id) {
+            return this.all().find(list => list.id === id) || null;
+        },
+
+        isOwner: function(list) {
+            return list.id === this.PORTFOLIO_ID || (!!this.userId && list.ownerId === this.userId);
+        },
+
+        canEdit: function(list) {
+            return this.isOwner(list) || list.sharing === 'edit';
+        },
+
+        changed: async function(client) {
+            if (this.channel) this.channel.postMessage({ userId: this.userId });
+            await this.fetchLists(client);
+        },
+
+        requireUser: async function() {
+            if (!this.loading) await this.load();
+            if (!this.userId) throw new Error('Sign in to save watchlists.');
+            return Olly.getSupabaseClient();
+        },
+
+        create: async function(name, items = []) {
+            const client = await this.requireUser();
+            const { data, error } = await client
+                .from(this.TABLE)
+                .insert({
+                    owner_id: this.userId,
+                    name: String(name || '').trim() || 'Untitled list',
+                    items: items.map(item => OllyEngine.Portfolio.normalizeItem(item)).filter(Boolean),
+                    sharing: 'private',
+                    updated_at: new Date().toISOString()
+                })
+                .select()
+                .single();
+            if (error) throw error;
+            await this.changed(client);
+            return this.fromRow(data);
+        },
+
+        update: async function(id, fields) {
+            const client = await this.requireUser();
+            const { error } = await client
+                .from(this.TABLE)
+                .update({ ...fields, updated_at: new Date().toISOString() })
+                .eq('id', id);
+            if (error) throw error;
+            await this.changed(client);
+        },
+
+        rename: function(id, name) {
+            return this.update(id, { name: String(name || '').trim() || 'Untitled list' });
+        },
+
+        // Sharing is within the owner's organization, which an admin sets
+        share: function(id, sharing) {
+            if (!this.SHARING[sharing]) return Promise.reject(new Error(`Unknown sharing "${sharing}".`));
+            if (sharing !== 'private' && !this.organization) {
+                return Promise.reject(new Error('Your account has no organization yet. Ask an administrator to add you to your team.'));
+            }
+            return this.update(id, { sharing, organization: sharing === 'private' ? null : this.organization });
+        },
+
+        remove: async function(id) {
+            const client = await this.requireUser();
+            const { error } = await client.from(this.TABLE).delete().eq('id', id);
+            if (error) throw error;
+            await this.changed(client);
+        },
+
+        // Replaces a list's items; the portfolio goes through OllyEngine.Portfolio
+        setItems: function(id, items) {
+            const clean = items.map(item => OllyEngine.Portfolio.normalizeItem(item)).filter(Boolean);
+            if (id === this.PORTFOLIO_ID) return OllyEngine.Portfolio.commit(clean);
+            return this.update(id, { items: clean });
+        },
+
+        // Adds items, skipping any the list already covers
+        addItems: function(id, items) {
+            const list = this.get(id);
+            if (!list) return Promise.reject(new Error('That watchlist no longer exists.'));
+            const key = item => (item.kind === 'individual' ? `i:${item.cik}` : `c:${item.ticker || item.cik}`);
+            const seen = new Set(list.items.map(key));
+            const additions = items
+                .map(item => OllyEngine.Portfolio.normalizeItem(item))
+                .filter(item => item && !seen.has(key(item)) && seen.add(key(item)));
+            return this.setItems(id, [...list.items, ...additions]);
+        },
+
+        removeItem: function(id, item) {
+            const list = this.get(id);
+            if (!list) return Promise.resolve();
+            return this.setItems(id, list.items.filter(i => i !== item));
+        },
+
+        // Does any of the lists `ids` cover a filing's { ticker, issuerCik, ownerCiks }?
+        matches: function(ids, { ticker, issuerCik, ownerCiks = [] }) {
+            const symbol = String(ticker || '').toUpperCase();
+            const cik = OllyEngine.Portfolio.stripCik(issuerCik);
+            const owners = ownerCiks.map(c => OllyEngine.Portfolio.stripCik(c)).filter(Boolean);
+            return this.all()
+                .filter(list => ids.includes(list.id))
+                .some(list => list.items.some(item => item.kind === 'individual'
+                    ? owners.includes(item.cik)
+                    : (symbol && item.ticker === symbol) || (cik && item.cik === cik)));
+        },
+
+        // ---- CSV import / export ----
+
+        // Splits CSV text into rows of cells, honouring quoted fields
+        parseCsv: function(text) {
+            const rows = [];
+            let row = [];
+            let cell = '';
+            let quoted = false;
+            const input = String(text || '').replace(/^\uFEFF/, '');
+            for (let i = 0; i < input.length; i++) {
+                const c = input[i];
+                if (quoted) {
+                    if (c === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+                    else if (c === '"') quoted = false;
+                    else cell += c;
+                } else if (c === '"') {
+                    quoted = true;
+                } else if (c === ',') {
+                    row.push(cell); cell = '';
+                } else if (c === '\n' || c === '\r') {
+                    if (c === '\r' && input[i + 1] === '\n') i++;
+                    row.push(cell); rows.push(row); row = []; cell = '';
+                } else {
+                    cell += c;
+                }
+            }
+            if (cell || row.length) { row.push(cell); rows.push(row); }
+            // Undo toCsv's guard on cells that would read as spreadsheet formulas
+            return rows.map(r => r.map(v => v.trim().replace(/^'(?=[=+\-@])/, ''))).filter(r => r.some(Boolean));
+        },
+
+        // Header names -> column role; rows without a header are guessed per cell
+        HEADER_ROLES: {
+            ticker: 'ticker', symbol: 'ticker',
+            cik: 'cik', 'issuer cik': 'cik', 'owner cik': 'cik',
+            name: 'name', company: 'name', 'company name': 'name', issuer: 'name', 'reporting owner': 'name',
+            kind: 'kind', type: 'kind'
+        },
+
+        readCsvRows: function(text) {
+            const rows = this.parseCsv(text);
+            if (rows.length === 0) return [];
+            const header = rows[0].map(cell => this.HEADER_ROLES[cell.toLowerCase()] || null);
+            if (header.some(Boolean)) {
+                return rows.slice(1).map((cells, i) => {
+                    const fields = { line: i + 2 };
+                    header.forEach((role, col) => {
+                        if (role && cells[col] && !fields[role]) fields[role] = cells[col];
+                    });
+                    return fields;
+                });
+            }
+            return rows.map((cells, i) => {
+                const fields = { line: i + 1 };
+                cells.forEach(cell => {
+                    if (/^\d{1,10}$/.test(cell) && !fields.cik) fields.cik = cell;
+                    else if (/^[A-Za-z][A-Za-z0-9.\-]{0,5}$/.test(cell) && cell === cell.toUpperCase() && !fields.ticker) fields.ticker = cell;
+                    else if (!fields.name) fields.name = cell;
+                });
+                return fields;
+            });
+        },
+
+        // Resolves each CSV row against OllyEngine.Reference:
+        //   { line, input, status: 'matched' | 'unmatched', item, candidates }
+        // Unmatched rows also carry the parsed fields for the user to review; individuals (kind
+        // 'individual' / 'insider') are taken by CIK since they have no ticker.
+        resolveCsv: async function(text) {
+            await OllyEngine.Reference.load();
+            return this.readCsvRows(text).map(fields => {
+                const input = [fields.ticker, fields.cik, fields.name].filter(Boolean).join(' / ');
+                const kind = /individual|insider|person|owner/i.test(fields.kind || '') ? 'individual' : 'company';
+
+                if (kind === 'individual') {
+                    const item = OllyEngine.Portfolio.normalizeItem({ kind, cik: fields.cik, name: fields.name });
+                    return { line: fields.line, input, status: item ? 'matched' : 'unmatched', item, candidates: [] };
+                }
+
+                const record = OllyEngine.Reference.lookup(fields.ticker, fields.cik);
+                if (record) {
+                    return {
+                        line: fields.line, input, status: 'matched', candidates: [],
+                        item: { kind: 'company', ticker: record.ticker, cik: record.cik, name: record.name }
+                    };
+                }
+
+                const candidates = fields.name || fields.ticker
+                    ? OllyEngine.Reference.search(fields.name || fields.ticker, 5)
+                    : [];
+                const exact = candidates.filter(c => c.name.toUpperCase() === String(fields.name || '').toUpperCase());
+                if (exact.length === 1) {
+                    return {
+                        line: fields.line, input, status: 'matched', candidates: [],
+                        item: { kind: 'company', ticker: exact[0].ticker, cik: exact[0].cik, name: exact[0].name }
+                    };
+                }
+                return {
+                    line: fields.line, input, status: 'unmatched', item: null, fields,
+                    candidates: candidates.map(c => ({ kind: 'company', ticker: c.ticker, cik: c.cik, name: c.name }))
+                };
+            });
+        },
+
+        // Cells starting with = + - @, a tab or a CR get a leading apostrophe, so a
+        // spreadsheet shows them as text rather than running them as formulas
+        toCsv: function(list) {
+            const quote = value => {
+                let text = String(value ?? '');
+                if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const lines = [['kind', 'ticker', 'cik', 'name']]
+                .concat(list.items.map(item => [item.kind, item.ticker || '', item.cik || '', item.name || '']));
+            return lines.map(cells => cells.map(quote).join(',')).join('\r\n') + '\r\n';
+        }
+    },
+
+    Search: {
+        // Full-text filing search: queries go to sec-api's full-text-search
+        // through the proxy, highlighted passages come from api/filing-snippets.js
+        // and saved searches (re-run on a schedule by the server) from
+        // api/saved-searches.js. A search is
+        //   { query, formTypes: ['8-K'], startDate, endDate, scope: 'AAPL, 320193' }
+        // where scope lists tickers or CIKs, resolved through OllyEngine.Reference.
+        PAGE_SIZE: 20,
+        API_PAGE_SIZE: 100,   // fixed by sec-api
+        MAX_API_PAGES: 100,
+        pageCache: new Map(), // payload key -> Promise<{ total, relation, filings }>
+        snippetCache: new Map(),
+
+        // 'AAPL, 0000320193' -> { ciks: ['320193', '320193'], unknown: [] }
+        resolveScope: async function(scope) {
+            const tokens = String(scope || '').split(/[\s,;]+/).filter(Boolean);
+            if (tokens.length === 0) return { ciks: [], unknown: [] };
+            await OllyEngine.Reference.load();
+            const ciks = [];
+            const unknown = [];
+            tokens.forEach(token => {
+                if (/^\d+$/.test(token)) {
+                    ciks.push(token.replace(/^0+/, ''));
+                    return;
+                }
+                const record = OllyEngine.Reference.lookup(token.toUpperCase(), null);
+                if (record) ciks.push(String(record.cik));
+                else unknown.push(token.toUpperCase());
+            });
+            return { ciks: [...new Set(ciks)], unknown };
+        },
+
+        // The search with its scope resolved to the CIKs sec-api takes
+        withCiks: async function(search) {
+            const { ciks, unknown } = await this.resolveScope(search.scope);
+            if (unknown.length) throw new Error(`Unknown ticker${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Use the CIK instead.`);
+            return { ...search, ciks };
+        },
+
+        buildPayload: function(search, apiPage) {
+            const payload = { query: search.query.trim(), page: String(apiPage) };
+            if (search.formTypes?.length) payload.formTypes = search.formTypes;
+            if (search.ciks?.length) payload.ciks = search.ciks;
+            if (search.startDate) payload.startDate = search.startDate;
+            if (search.endDate) payload.endDate = search.endDate;
+            return payload;
+        },
+
+        // One page of PAGE_SIZE hits: { total, relation, pages, hits }
+        run: async function(search, page = 1) {
+            if (!String(search.query || '').trim()) throw new Error('Enter something to search for.');
+            const scoped = await this.withCiks(search);
+            const offset = (page - 1) * this.PAGE_SIZE;
+            const apiPage = Math.floor(offset / this.API_PAGE_SIZE) + 1;
+            const payload = this.buildPayload(scoped, apiPage);
+            const key = JSON.stringify(payload);
+            if (!this.pageCache.has(key)) {
+                const request = Olly.callSecApi('full-text-search', payload)
+                    .then(data => ({
+                        total: data.total?.value ?? 0,
+                        relation: data.total?.relation || 'eq',
+                        filings: data.filings || []
+                    }))
+                    .catch(err => {
+                        this.pageCache.delete(key);
+                        throw err;
+                    });
+                this.pageCache.set(key, request);
+            }
+            const result = await this.pageCache.get(key);
+            const start = offset % this.API_PAGE_SIZE;
+            const reachable = Math.min(result.total, this.API_PAGE_SIZE * this.MAX_API_PAGES);
+            return {
+                total: result.total,
+                relation: result.relation,
+                pages: Math.max(1, Math.ceil(reachable / this.PAGE_SIZE)),
+                hits: result.filings.slice(start, start + this.PAGE_SIZE).map(filing => this.toFiling(filing))
+            };
+        },
+
+        // A hit in the shape the stream's filing cards and details modal use.
+        // companyNameLong carries the ticker and CIK: "Apple Inc. (AAPL) (CIK 0000320193)"
+        toFiling: function(hit) {
+            return {
+                accessionNo: hit.accessionNo,
+                formType: hit.formType,
+                companyName: String(hit.companyNameLong || hit.companyName || '').replace(/\s*\((CIK\s*)?[^()]*\)\s*/g, ' ').trim(),
+                ticker: hit.ticker || '',
+                cik: String(hit.cik || '').replace(/^0+/, ''),
+                filedAt: hit.filedAt,
+                description: hit.description || '',
+                linkToFilingDetails: hit.filingUrl || hit.url
+            };
+        },
+
+        // Highlighted passages of one document: [[{ text, hit }]]
+        snippets: function(url, query) {
+            const key = `${url}\n${query}`;
+            if (!this.snippetCache.has(key)) {
+                const request = this.request(`/api/filing-snippets?${new URLSearchParams({ url, q: query })}`)
+                    .then(body => body.snippets || [])
+                    .catch(err => {
+                        this.snippetCache.delete(key);
+                        throw err;
+                    });
+                this.snippetCache.set(key, request);
+            }
+            return this.snippetCache.get(key);
+        },
+
+        request: async function(path, options = {}) {
+            const token = await Olly.getAccessToken();
+            const response = await fetch(path, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+                }
+            });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                const error = new Error(body.error || `Request failed: ${response.statusText}`);
+                error.code = body.code;
+                error.status = response.status;
+                throw error;
+            }
+            return body;
+        },
+
+        saved: function(action, fields) {
+            return this.request('/api/saved-searches', {
+                method: 'POST',
+                body: JSON.stringify({ action, ...fields })
+            });
+        },
+
+        listSaved: async function() {
+            return (await this.request('/api/saved-searches')).searches || [];
+        },
+
+        save: async function(name, search, settings = {}) {
+            return this.saved('create', { name, search: await this.withCiks(search), ...settings });
+        },
+
+        updateSaved: async function(id, fields) {
+            if (fields.search) fields = { ...fields, search: await this.withCiks(fields.search) };
+            return this.saved('update', { id, ...fields });
+        },
+
+        removeSaved: function(id) {
+            return this.saved('delete', { id });
+        },
+
+        markSeen: function(id) {
+            return this.saved('seen', { id });
+        }
     },
 
     UI: {
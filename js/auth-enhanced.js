@@ -1,4 +1,4 @@
-// js/auth-enhanced.js — OllyPass-enabled Supabase auth with MFA and weekend carryover
+// js/auth-enhanced.js — OllyPass-enabled Supabase auth with MFA and server-trusted devices
 (() => {
   'use strict';
 
@@ -33,108 +33,36 @@
     return { url: SUPABASE_URL, key: SUPABASE_ANON_KEY };
   }
 
-  // TOTP utilities for OllyPass
-  function generateTOTPSecret() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
-    let secret = '';
-    for (let i = 0; i < 32; i++) {
-      secret += chars[Math.floor(Math.random() * chars.length)];
-    }
-    return secret;
-  }
-
-  function generateQRCodeURL(secret, email) {
-    const issuer = 'OllyTracker';
-    const label = `${issuer}:${email}`;
-    const otpauth = `otpauth://totp/${encodeURIComponent(label)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}`;
-    return `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(otpauth)}`;
-  }
-
-  // Simple TOTP verification (30-second window)
-  function verifyTOTP(secret, token) {
-    // This is a simplified implementation - in production you'd use a proper TOTP library
-    const timeStep = Math.floor(Date.now() / 30000);
-    // Check current and previous time step for clock drift tolerance
-    for (let i = -1; i <= 1; i++) {
-      const expectedToken = generateTOTPToken(secret, timeStep + i);
-      if (expectedToken === token) return true;
+  // OllyPass (TOTP) enrollment and verification run server-side in
+  // /api/ollypass; the secret never lives in the browser beyond the QR code.
+  async function ollypassApi(client, action, body = {}) {
+    const { data } = await client.auth.getSession();
+    const token = data.session?.access_token;
+    const resp = await fetch('/api/ollypass', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ ...body, action })
+    });
+    const result = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      const error = new Error(result.error || `OllyPass request failed (${resp.status})`);
+      error.code = result.code;
+      error.status = resp.status;
+      throw error;
     }
-    return false;
+    return result;
   }
 
-  function generateTOTPToken(secret, timeStep) {
-    // Simplified TOTP generation - use proper crypto library in production
-    const hash = simpleHMAC(secret, timeStep.toString());
-    const offset = hash.charCodeAt(hash.length - 1) & 0xf;
-    const code = ((hash.charCodeAt(offset) & 0x7f) << 24) |
-                 ((hash.charCodeAt(offset + 1) & 0xff) << 16) |
-                 ((hash.charCodeAt(offset + 2) & 0xff) << 8) |
-                 (hash.charCodeAt(offset + 3) & 0xff);
-    return (code % 1000000).toString().padStart(6, '0');
-  }
-
-  function simpleHMAC(key, message) {
-    // Very simplified HMAC - use proper crypto in production
-    return btoa(key + message).slice(0, 20);
-  }
-
-  // Device fingerprinting
-  function getDeviceFingerprint() {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    ctx.textBaseline = 'top';
-    ctx.font = '14px Arial';
-    ctx.fillText('OllyTracker Device ID', 2, 2);
-    
-    return btoa(JSON.stringify({
-      userAgent: navigator.userAgent,
-      language: navigator.language,
-      platform: navigator.platform,
-      screen: `${screen.width}x${screen.height}`,
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      canvas: canvas.toDataURL()
-    })).slice(0, 32);
-  }
-
-  // Weekend carryover logic
-  function isWeekendCarryover() {
-    const now = new Date();
-    const day = now.getDay(); // 0 = Sunday, 1 = Monday
-    const hour = now.getHours();
-    
-    // Monday before 8 AM
-    if (day === 1 && hour < 8) {
-      return true;
-    }
-    return false;
-  }
-
-  function shouldTrustDevice(lastTrusted) {
-    if (!lastTrusted) return false;
-    
-    const now = new Date();
-    const trusted = new Date(lastTrusted);
-    const hoursDiff = (now - trusted) / (1000 * 60 * 60);
-    
-    // Normal 24-hour trust
-    if (hoursDiff <= 24) return true;
-    
-    // Weekend carryover: Friday trust extends to Monday 8 AM
-    if (isWeekendCarryover()) {
-      const friday = new Date(trusted);
-      friday.setDate(friday.getDate() - (friday.getDay() + 2) % 7); // Last Friday
-      friday.setHours(0, 0, 0, 0);
-      
-      const mondayMorning = new Date(friday);
-      mondayMorning.setDate(mondayMorning.getDate() + 3); // Monday
-      mondayMorning.setHours(8, 0, 0, 0);
-      
-      if (trusted >= friday && now <= mondayMorning) {
-        return true;
-      }
-    }
-    
-    return false;
+  // Renders the otpauth:// URL as a QR code in the browser (qrcode-generator)
+  function generateQRCodeDataURL(otpauthUrl) {
+    if (typeof window.qrcode !== 'function') return null;
+    const qr = window.qrcode(0, 'M');
+    qr.addData(otpauthUrl);
+    qr.make();
+    return qr.createDataURL(4, 8);
   }
 
   // Rate limiting
@@ -155,6 +83,10 @@
     }
   };
 
+  // Waiting-list invites (api/admin/waiting-list/[id].js) land on login.html
+  // with "#...type=invite"; note it before the client consumes the hash
+  let inviteLanding = new URLSearchParams(window.location.hash.slice(1)).get('type') === 'invite';
+
   // Initialize Supabase client
   (async () => {
     try {
@@ -211,10 +143,15 @@
       inputs.forEach(input => input.disabled = disabled);
     }
 
+    // Panels go under the form in whichever auth page we're on
+    function getPanelContainer() {
+      return document.querySelector('.auth-container, .login-container, .register-container') || document.body;
+    }
+
     // Create MFA enrollment panel
-    function createMFAEnrollmentPanel(secret, email) {
-      const container = document.querySelector('.auth-container');
-      const qrURL = generateQRCodeURL(secret, email);
+    function createMFAEnrollmentPanel(enrollment) {
+      const container = getPanelContainer();
+      const qrURL = generateQRCodeDataURL(enrollment.otpauthUrl);
       
       const panel = document.createElement('div');
       panel.id = 'ollypass-enrollment';
@@ -223,18 +160,19 @@
           <h3 style="color: #10B981; margin-bottom: 15px;">🔐 Complete OllyPass Setup</h3>
           <p style="margin-bottom: 20px;">Scan this QR code with your authenticator app:</p>
           
+          ${qrURL ? `
           <div style="text-align: center; margin: 20px 0;">
             <img src="${qrURL}" alt="OllyPass QR Code" style="background: white; padding: 10px; border-radius: 8px;"/>
-          </div>
+          </div>` : ''}
           
           <div style="margin: 20px 0; padding: 15px; background: #374151; border-radius: 6px;">
             <p style="margin: 0 0 10px 0; font-size: 14px;">Manual entry key:</p>
-            <code style="word-break: break-all; font-size: 12px; color: #E5E7EB;">${secret}</code>
+            <code style="word-break: break-all; font-size: 12px; color: #E5E7EB;">${enrollment.secret}</code>
           </div>
           
           <div style="margin: 20px 0;">
             <label for="enrollment-code" style="display: block; margin-bottom: 8px;">Enter 6-digit code:</label>
-            <input type="text" id="enrollment-code" maxlength="6" pattern="[0-9]{6}" 
+            <input type="text" id="enrollment-code" maxlength="6" pattern="[0-9]{6}" inputmode="numeric" autocomplete="one-time-code"
                    style="width: 120px; text-align: center; font-size: 18px; letter-spacing: 2px; 
                           background: #374151; border: 1px solid #6B7280; color: #F9FAFB; 
                           padding: 12px; border-radius: 6px; font-family: monospace;"/>
@@ -257,17 +195,17 @@
 
     // Create MFA verification panel
     function createMFAVerificationPanel() {
-      const container = document.querySelector('.auth-container');
+      const container = getPanelContainer();
       
       const panel = document.createElement('div');
       panel.id = 'ollypass-verification';
       panel.innerHTML = `
         <div style="margin-top: 30px; padding: 20px; border: 1px solid #4B5563; border-radius: 8px; background: rgba(31, 41, 55, 0.8);">
           <h3 style="color: #10B981; margin-bottom: 15px;">🔐 OllyPass Verification</h3>
-          <p style="margin-bottom: 20px;">Enter your 6-digit authenticator code:</p>
+          <p id="verification-prompt" style="margin-bottom: 20px;">Enter your 6-digit authenticator code:</p>
           
           <div style="margin: 20px 0;">
-            <input type="text" id="verification-code" maxlength="6" pattern="[0-9]{6}" 
+            <input type="text" id="verification-code" maxlength="6" pattern="[0-9]{6}" inputmode="numeric" autocomplete="one-time-code"
                    style="width: 120px; text-align: center; font-size: 18px; letter-spacing: 2px; 
                           background: #374151; border: 1px solid #6B7280; color: #F9FAFB; 
                           padding: 12px; border-radius: 6px; font-family: monospace;"/>
@@ -277,8 +215,9 @@
                                          border: none; border-radius: 6px; cursor: pointer;">
             Verify & Continue
           </button>
-          
-          ${isWeekendCarryover() ? '<p style="margin-top: 15px; color: #10B981; font-size: 14px;">🌅 Weekend carryover active - extended trust period</p>' : ''}
+          <p style="margin-top: 15px; font-size: 14px;">
+            <a href="#" id="use-recovery-code" style="color: #9CA3AF;">Lost your device? Use a recovery code</a>
+          </p>
         </div>
       `;
       
@@ -286,6 +225,94 @@
       return panel;
     }
 
+    // Invited users have no password yet; resolves once they've chosen one
+    function choosePassword(form) {
+      if (form) form.style.display = 'none';
+      const container = getPanelContainer();
+
+      const panel = document.createElement('div');
+      panel.id = 'invite-password';
+      panel.innerHTML = `
+        <div style="margin-top: 30px; padding: 20px; border: 1px solid #4B5563; border-radius: 8px; background: rgba(31, 41, 55, 0.8);">
+          <h3 style="color: #10B981; margin-bottom: 15px;">👋 Welcome to OllyTracker</h3>
+          <p style="margin-bottom: 20px;">Choose a password for your account:</p>
+          <input type="password" id="invite-new-password" placeholder="Password (at least 6 characters)" minlength="6" autocomplete="new-password"
+                 style="width: 100%; margin-bottom: 10px; background: #374151; border: 1px solid #6B7280; color: #F9FAFB; padding: 12px; border-radius: 6px;"/>
+          <input type="password" id="invite-confirm-password" placeholder="Confirm Password" minlength="6" autocomplete="new-password"
+                 style="width: 100%; margin-bottom: 20px; background: #374151; border: 1px solid #6B7280; color: #F9FAFB; padding: 12px; border-radius: 6px;"/>
+          <button id="invite-save-password" style="background: #10B981; color: white; padding: 12px 24px; 
+                                                   border: none; border-radius: 6px; cursor: pointer;">
+            Save Password
+          </button>
+        </div>
+      `;
+      container.appendChild(panel);
+
+      return new Promise((resolve) => {
+        document.getElementById('invite-save-password').addEventListener('click', async () => {
+          const password = document.getElementById('invite-new-password').value;
+          if (password.length < 6) {
+            showMessage('Passwords must be at least 6 characters', true);
+            return;
+          }
+          if (password !== document.getElementById('invite-confirm-password').value) {
+            showMessage('Passwords do not match', true);
+            return;
+          }
+
+          const { error } = await client.auth.updateUser({ password });
+          if (error) {
+            showMessage(error.message, true);
+            return;
+          }
+          panel.remove();
+          showMessage('Password saved.');
+          resolve();
+        });
+      });
+    }
+
+    // Shows freshly issued recovery codes once, with a download option
+    function createRecoveryCodesPanel(codes, onContinue) {
+      const container = getPanelContainer();
+
+      const panel = document.createElement('div');
+      panel.id = 'ollypass-recovery-codes';
+      panel.innerHTML = `
+        <div style="margin-top: 30px; padding: 20px; border: 1px solid #4B5563; border-radius: 8px; background: rgba(31, 41, 55, 0.8);">
+          <h3 style="color: #10B981; margin-bottom: 15px;">🗝️ Save Your Recovery Codes</h3>
+          <p style="margin-bottom: 20px;">Each code signs you in once if you lose your authenticator. They won't be shown again.</p>
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; padding: 15px; background: #374151; border-radius: 6px; font-family: monospace; font-size: 16px; color: #E5E7EB;">
+            ${codes.map(code => `<span>${code}</span>`).join('')}
+          </div>
+          <div style="margin-top: 20px;">
+            <button id="download-recovery-codes" style="background: transparent; border: 1px solid #6B7280; 
+                                                      color: #D1D5DB; padding: 12px 24px; border-radius: 6px; cursor: pointer; margin-right: 10px;">
+              Download
+            </button>
+            <button id="recovery-codes-continue" style="background: #10B981; color: white; padding: 12px 24px; 
+                                                      border: none; border-radius: 6px; cursor: pointer;">
+              I've saved them
+            </button>
+          </div>
+        </div>
+      `;
+
+      container.appendChild(panel);
+
+      document.getElementById('download-recovery-codes').addEventListener('click', () => {
+        const text = `OllyTracker OllyPass recovery codes\nGenerated ${new Date().toISOString()}\n\n${codes.join('\n')}\n`;
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'ollypass-recovery-codes.txt';
+        link.click();
+        URL.revokeObjectURL(url);
+      });
+      document.getElementById('recovery-codes-continue').addEventListener('click', onContinue);
+      return panel;
+    }
+
     // Redirect to app
     function redirectToApp() {
       showMessage('Success! Redirecting...');
@@ -294,6 +321,141 @@
       }, 500);
     }
 
+    // The server trusts this device after each successful code (24 hours,
+    // or until Monday 08:00 from a Friday) via an HttpOnly cookie
+    function describeTrust(trustedUntil) {
+      return trustedUntil ? ` This device is trusted until ${new Date(trustedUntil).toLocaleString()}.` : '';
+    }
+
+    // Mandatory OllyPass setup: the server issues the secret, we show it as a
+    // QR code, and the first valid code activates it and returns recovery codes
+    async function startEnrollment(form) {
+      let enrollment;
+      try {
+        enrollment = await ollypassApi(client, 'enroll');
+      } catch (err) {
+        showMessage('Could not start OllyPass setup: ' + err.message, true);
+        if (form) setFormDisabled(form, false);
+        return;
+      }
+
+      if (form) form.style.display = 'none';
+      showMessage('OllyPass is required. Set it up to continue.');
+      const enrollmentPanel = createMFAEnrollmentPanel(enrollment);
+
+      document.getElementById('verify-enrollment').addEventListener('click', async () => {
+        const code = document.getElementById('enrollment-code').value.trim();
+        
+        if (!/^\d{6}$/.test(code)) {
+          showMessage('Please enter a 6-digit code', true);
+          return;
+        }
+
+        try {
+          const { recoveryCodes, trustedUntil } = await ollypassApi(client, 'activate', { code });
+          enrollmentPanel.remove();
+          showMessage('OllyPass setup complete! Welcome to OllyTracker.' + describeTrust(trustedUntil));
+          createRecoveryCodesPanel(recoveryCodes, redirectToApp);
+        } catch (err) {
+          showMessage(err.message, true);
+        }
+      });
+
+      document.getElementById('cancel-enrollment').addEventListener('click', async () => {
+        // No access without OllyPass, so cancelling signs back out
+        await client.auth.signOut();
+        ollypassStarted = false;
+        enrollmentPanel.remove();
+        if (form) {
+          form.style.display = 'block';
+          setFormDisabled(form, false);
+        }
+        showMessage('OllyPass setup cancelled. You have been signed out.', true);
+      });
+    }
+
+    // Code (or recovery code) check for an enrolled account
+    function startVerification(form) {
+      if (form) form.style.display = 'none';
+      createMFAVerificationPanel();
+
+      let useRecovery = false;
+      const input = document.getElementById('verification-code');
+      document.getElementById('use-recovery-code').addEventListener('click', (e) => {
+        e.preventDefault();
+        useRecovery = !useRecovery;
+        input.value = '';
+        input.maxLength = useRecovery ? 9 : 6;
+        input.style.width = useRecovery ? '160px' : '120px';
+        document.getElementById('verification-prompt').textContent = useRecovery
+          ? 'Enter one of your recovery codes:'
+          : 'Enter your 6-digit authenticator code:';
+        e.target.textContent = useRecovery ? 'Use your authenticator app instead' : 'Lost your device? Use a recovery code';
+      });
+
+      document.getElementById('verify-code').addEventListener('click', async () => {
+        const code = input.value.trim();
+        
+        if (!useRecovery && !/^\d{6}$/.test(code)) {
+          showMessage('Please enter a 6-digit code', true);
+          return;
+        }
+        if (useRecovery && !code) {
+          showMessage('Please enter a recovery code', true);
+          return;
+        }
+
+        try {
+          const result = await ollypassApi(client, useRecovery ? 'recover' : 'verify', { code });
+          if (useRecovery) {
+            showMessage(`Recovery code accepted. ${result.recoveryCodesRemaining} remaining.` + describeTrust(result.trustedUntil));
+          } else {
+            showMessage('MFA verified successfully!' + describeTrust(result.trustedUntil));
+          }
+          redirectToApp();
+        } catch (err) {
+          showMessage(err.message, true);
+        }
+      });
+    }
+
+    // Every sign-in path ends here: enrol if needed, skip the code on a
+    // trusted device, otherwise ask for one
+    let ollypassStarted = false;
+    async function completeSignIn(form) {
+      if (ollypassStarted) return;
+      ollypassStarted = true;
+
+      if (inviteLanding) {
+        await choosePassword(form);
+        inviteLanding = false;
+      }
+
+      let status;
+      try {
+        status = await ollypassApi(client, 'status');
+      } catch (err) {
+        ollypassStarted = false;
+        showMessage('Could not check OllyPass: ' + err.message, true);
+        if (form) setFormDisabled(form, false);
+        return;
+      }
+
+      if (!status.enrolled) {
+        await startEnrollment(form);
+        return;
+      }
+
+      // Device trust is decided server-side from the signed device cookie
+      if (status.deviceTrusted) {
+        showMessage('Trusted device recognized. Welcome back!');
+        redirectToApp();
+        return;
+      }
+
+      startVerification(form);
+    }
+
     // LOGIN handler with OllyPass
     async function handleLogin(e) {
       e.preventDefault();
@@ -331,55 +493,7 @@
           return;
         }
 
-        // Check if user has OllyPass enabled
-        const user = data.user;
-        const ollypassSecret = user.user_metadata?.ollypass_secret;
-        
-        if (!ollypassSecret) {
-          // No MFA setup - redirect directly
-          redirectToApp();
-          return;
-        }
-
-        // Check device trust
-        const deviceId = getDeviceFingerprint();
-        const trustedDevices = user.user_metadata?.trusted_devices || {};
-        const lastTrusted = trustedDevices[deviceId];
-
-        if (shouldTrustDevice(lastTrusted)) {
-          showMessage('Trusted device recognized. Welcome back!');
-          redirectToApp();
-          return;
-        }
-
-        // Require MFA verification
-        form.style.display = 'none';
-        const verificationPanel = createMFAVerificationPanel();
-        
-        document.getElementById('verify-code').addEventListener('click', async () => {
-          const code = document.getElementById('verification-code').value;
-          
-          if (!code || code.length !== 6) {
-            showMessage('Please enter a 6-digit code', true);
-            return;
-          }
-
-          if (verifyTOTP(ollypassSecret, code)) {
-            // Update trusted device
-            const updatedDevices = { ...trustedDevices };
-            updatedDevices[deviceId] = new Date().toISOString();
-            
-            await client.auth.updateUser({
-              data: { trusted_devices: updatedDevices }
-            });
-
-            showMessage('MFA verified successfully!');
-            redirectToApp();
-          } else {
-            rateLimiter.recordAttempt(email);
-            showMessage('Invalid code. Please try again.', true);
-          }
-        });
+        await completeSignIn(form);
 
       } catch (err) {
         console.error('[Auth] Login error:', err);
@@ -397,7 +511,7 @@
       const password = form.querySelector('#password')?.value;
       const confirmPassword = form.querySelector('#confirmPassword')?.value;
       const fullName = form.querySelector('#full_name, #fullname')?.value?.trim() || '';
-      const organization = form.querySelector('#organization')?.value?.trim() || '';
+      const organization = form.querySelector('#organization, #org')?.value?.trim() || '';
 
       if (!email || !password) {
         showMessage('Email and password are required', true);
@@ -413,21 +527,14 @@
       showMessage('Creating account...');
 
       try {
-        // Generate OllyPass secret
-        const ollypassSecret = generateTOTPSecret();
-        const trialEnds = new Date();
-        trialEnds.setDate(trialEnds.getDate() + 45); // 45-day trial
-
+        // The 45-day trial runs from sign-up; the server tracks its end
         const { data, error } = await client.auth.signUp({
           email,
           password,
           options: { 
             data: { 
               fullname: fullName,
-              organization: organization,
-              ollypass_secret: ollypassSecret,
-              trial_ends: trialEnds.toISOString(),
-              trusted_devices: {}
+              organization: organization
             } 
           }
         });
@@ -439,45 +546,14 @@
         }
 
         if (!data.session) {
+          // OllyPass setup happens at first sign-in once the email is confirmed
           showMessage('Please check your email to confirm your account', false);
           setFormDisabled(form, false);
           return;
         }
 
         // Show MFA enrollment
-        form.style.display = 'none';
-        const enrollmentPanel = createMFAEnrollmentPanel(ollypassSecret, email);
-        
-        document.getElementById('verify-enrollment').addEventListener('click', async () => {
-          const code = document.getElementById('enrollment-code').value;
-          
-          if (!code || code.length !== 6) {
-            showMessage('Please enter a 6-digit code', true);
-            return;
-          }
-
-          if (verifyTOTP(ollypassSecret, code)) {
-            // Trust this device
-            const deviceId = getDeviceFingerprint();
-            const trustedDevices = {};
-            trustedDevices[deviceId] = new Date().toISOString();
-            
-            await client.auth.updateUser({
-              data: { trusted_devices: trustedDevices }
-            });
-
-            showMessage('OllyPass setup complete! Welcome to OllyTracker.');
-            redirectToApp();
-          } else {
-            showMessage('Invalid code. Please try again.', true);
-          }
-        });
-
-        document.getElementById('cancel-enrollment').addEventListener('click', () => {
-          enrollmentPanel.remove();
-          form.style.display = 'block';
-          setFormDisabled(form, false);
-        });
+        await completeSignIn(form);
 
       } catch (err) {
         console.error('[Auth] Registration error:', err);
@@ -490,16 +566,17 @@
     if (loginForm) {
       loginForm.addEventListener('submit', handleLogin);
 
+      // An existing session still has to pass OllyPass
       client.auth.getSession().then(({ data: { session } }) => {
         if (session) {
-          showMessage('Already signed in. Redirecting...');
-          redirectToApp();
+          completeSignIn(loginForm);
         }
       });
 
       client.auth.onAuthStateChange((event, session) => {
+        // Password sign-ins go through handleLogin; this catches email links
         if (event === 'SIGNED_IN' && session) {
-          redirectToApp();
+          setTimeout(() => completeSignIn(loginForm), 0);
         }
       });
     }
@@ -509,62 +586,4 @@
     }
   }
 
-  // ------------------ ADMIN CONSOLE SUPPORT ------------------ //
-  document.addEventListener("DOMContentLoaded", async () => {
-    if (window.location.pathname.includes("admin-console.html")) {
-      console.log("Admin Console detected — loading users...");
-
-      const tbody = document.getElementById("user-list");
-      const errorBox = document.getElementById("error-message");
-      const successBox = document.getElementById("success-message");
-
-      try {
-        // Note: This requires service role key for production
-        // For now, we'll show a placeholder message
-        tbody.innerHTML = `
-          <tr>
-            <td colspan="7" style="text-align: center; padding: 20px; color: #9CA3AF;">
-              Admin functionality requires service role configuration.<br/>
-              Contact system administrator to enable user management.
-            </td>
-          </tr>
-        `;
-
-        // In production, you would:
-        // const { data: { users }, error } = await supabase.auth.admin.listUsers();
-        // if (error) throw error;
-        // 
-        // users.forEach(user => {
-        //   const fullName = user.user_metadata?.fullname || "—";
-        //   const org = user.user_metadata?.organization || "—";
-        //   const mfaEnabled = user.user_metadata?.ollypass_secret ? "Enabled" : "Disabled";
-        //   const trialEnds = user.user_metadata?.trial_ends || "—";
-        //   const status = user.banned_until ? "Revoked" : "Active";
-        //   
-        //   const row = document.createElement("tr");
-        //   row.innerHTML = `
-        //     <td>${user.email}</td>
-        //     <td>${fullName}</td>
-        //     <td>${org}</td>
-        //     <td>${status}</td>
-        //     <td>${mfaEnabled}</td>
-        //     <td>${trialEnds}</td>
-        //     <td>
-        //       <button class="action-btn reset-mfa" data-id="${user.id}">Reset MFA</button>
-        //       <button class="action-btn danger revoke" data-id="${user.id}">Revoke</button>
-        //     </td>
-        //   `;
-        //   tbody.appendChild(row);
-        // });
-
-      } catch (err) {
-        console.error("Admin fetch error:", err);
-        if (errorBox) {
-          errorBox.textContent = "Unable to fetch users: " + err.message;
-          errorBox.style.display = "block";
-        }
-      }
-    }
-  });
-
 })();
\ No newline at end of file
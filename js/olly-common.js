@@ -1,28 +1,118 @@
 // OllyTracker Common Functions v1.2
 const Olly = {
+    // auth.js creates the Supabase client asynchronously after fetching keys
+    async getSupabaseClient(maxAttempts = 25, interval = 200) {
+        for (let i = 0; i < maxAttempts; i++) {
+            if (window.supabaseClient) return window.supabaseClient;
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+        throw new Error('Supabase client not initialized');
+    },
+    async getAccessToken() {
+        const client = await this.getSupabaseClient();
+        const { data } = await client.auth.getSession();
+        return data.session?.access_token || null;
+    },
     async callSecApi(endpoint, payload) {
-        // This will be a relative path to a serverless function on Vercel
-        const PROXY_URL = '/api/sec-proxy'; 
+        // Relative path to the sec-api.io gateway (api/sec-proxy.js)
+        const PROXY_URL = '/api/sec-proxy';
         try {
+            const token = await this.getAccessToken();
             const response = await fetch(PROXY_URL, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+                },
                 body: JSON.stringify({ endpoint: endpoint, payload: payload })
             });
-            if (!response.ok) throw new Error(`API Error: ${response.statusText}`);
+            if (!response.ok) {
+                // The gateway always answers errors as { error, code, status }
+                const body = await response.json().catch(() => ({}));
+                const error = new Error(body.error || `API Error: ${response.statusText}`);
+                error.code = body.code;
+                error.status = response.status;
+                throw error;
+            }
             return await response.json();
         } catch (error) {
             console.error(`[Olly.callSecApi] Error:`, error);
             throw error;
         }
     },
-    async protectPage() {
-        const { data, error } = await supabase.auth.getSession();
-        if (error || !data.session) {
+    // What the signed-in user's role and tier allow (api/access.js):
+    // { email, role, status, trialEnds, features }. Null when signed out or
+    // when this browser hasn't passed OllyPass yet.
+    async getAccess() {
+        if (!this.accessPromise) {
+            this.accessPromise = (async () => {
+                const token = await this.getAccessToken();
+                if (!token) return null;
+                const response = await fetch('/api/access', {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                if (response.status === 401) return null;
+                if (response.status === 403) {
+                    const body = await response.json().catch(() => ({}));
+                    if (body.code === 'OLLYPASS_REQUIRED') return null;
+                }
+                if (!response.ok) throw new Error(`Access check failed: ${response.statusText}`);
+                return response.json();
+            })();
+            this.accessPromise.catch(() => { this.accessPromise = null; });
+        }
+        return this.accessPromise;
+    },
+    // Signs the page in and, when `feature` is given, checks that the user's
+    // tier includes it. Suspended accounts, expired trials and pages outside
+    // the plan go to the upgrade page rather than back to login, which would
+    // only send them here again.
+    async protectPage(feature) {
+        let session = null;
+        try {
+            const client = await this.getSupabaseClient();
+            const { data, error } = await client.auth.getSession();
+            if (!error) session = data.session;
+        } catch (error) {
+            console.error(`[Olly.protectPage] Error:`, error);
+        }
+        if (!session) {
             window.location.href = '/login.html';
             return null;
         }
-        return data.session;
+
+        let access;
+        try {
+            access = await this.getAccess();
+        } catch (error) {
+            // The API routes enforce the same rules, so a failed check only costs the redirect
+            console.error(`[Olly.protectPage] Error:`, error);
+            return session;
+        }
+        if (!access) {
+            window.location.href = '/login.html';
+            return null;
+        }
+
+        let reason = null;
+        if (access.role === 'suspended') reason = 'suspended';
+        else if (access.status === 'trial-expired') reason = 'trial-expired';
+        else if (feature && !access.features.includes(feature)) reason = 'tier';
+        if (reason) {
+            const params = new URLSearchParams({ reason });
+            if (reason === 'tier') params.set('feature', feature);
+            window.location.replace(`/upgrade.html?${params}`);
+            return null;
+        }
+
+        this.applyTierNav(access);
+        return session;
+    },
+    // Hides links to pages the user's tier doesn't include (data-feature="cortex")
+    applyTierNav(access) {
+        document.querySelectorAll('[data-feature]').forEach(el => {
+            el.style.display = access.features.includes(el.dataset.feature) ? '' : 'none';
+        });
     },
     showOnboardingModal() {
         if (localStorage.getItem('ollyOnboardingComplete')) return;
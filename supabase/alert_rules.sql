@@ -0,0 +1,34 @@
+-- Per-user alert rules (OllyEngine.Alerts). Run in the Supabase SQL editor.
+--
+-- The browser reads and upserts its own row with the anon key and the user's
+-- session, so row level security limits every operation to
+-- user_id = auth.uid().
+
+create table if not exists public.alert_rules (
+  user_id     uuid primary key default auth.uid() references auth.users on delete cascade,
+  rules       jsonb not null default '[]'::jsonb,
+  updated_at  timestamptz not null default now()
+);
+
+alter table public.alert_rules enable row level security;
+
+drop policy if exists "alert_rules_select" on public.alert_rules;
+create policy "alert_rules_select" on public.alert_rules
+  for select to authenticated
+  using (user_id = auth.uid());
+
+drop policy if exists "alert_rules_insert" on public.alert_rules;
+create policy "alert_rules_insert" on public.alert_rules
+  for insert to authenticated
+  with check (user_id = auth.uid());
+
+drop policy if exists "alert_rules_update" on public.alert_rules;
+create policy "alert_rules_update" on public.alert_rules
+  for update to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "alert_rules_delete" on public.alert_rules;
+create policy "alert_rules_delete" on public.alert_rules
+  for delete to authenticated
+  using (user_id = auth.uid());
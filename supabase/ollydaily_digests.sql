@@ -0,0 +1,25 @@
+-- Archive of sent OllyDaily digests (api/_lib/ollydaily.js). Run in the
+-- Supabase SQL editor.
+--
+-- Only the server touches this table, through the service role: the archive
+-- page reads it via /api/ollydaily. Row level security is on with no
+-- policies, so the anon and authenticated roles get nothing.
+
+create table if not exists public.ollydaily_digests (
+  id           uuid primary key default gen_random_uuid(),
+  user_id      uuid not null references auth.users on delete cascade,
+  digest_date  date not null,
+  subject      text,
+  html         text,
+  text         text,
+  stats        jsonb,
+  sent_at      timestamptz,
+  created_at   timestamptz not null default now(),
+  unique (user_id, digest_date)
+);
+
+-- sentUserIds: who was already mailed for a day
+create index if not exists ollydaily_digests_sent_idx on public.ollydaily_digests (digest_date) where sent_at is not null;
+
+alter table public.ollydaily_digests enable row level security;
+revoke all on public.ollydaily_digests from anon, authenticated;
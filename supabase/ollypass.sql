@@ -0,0 +1,40 @@
+-- OllyPass server-side storage (api/_lib/ollypass.js, api/_lib/devices.js).
+-- Run in the Supabase SQL editor.
+--
+-- These tables hold TOTP secrets, recovery-code hashes and device trust.
+-- Row level security is on and there are no policies, so the anon and
+-- authenticated roles can't read or write a row; only the service role,
+-- which bypasses RLS, can. Table
+-- privileges are revoked from both roles as well, in case a policy is ever
+-- added by mistake.
+
+create table if not exists public.ollypass_factors (
+  user_id          uuid primary key references auth.users on delete cascade,
+  secret           text,
+  pending_secret   text,
+  recovery_codes   jsonb not null default '[]'::jsonb,
+  last_used_step   bigint,
+  failed_attempts  int not null default 0,
+  locked_until     timestamptz,
+  enabled_at       timestamptz,
+  updated_at       timestamptz not null default now()
+);
+
+alter table public.ollypass_factors enable row level security;
+revoke all on public.ollypass_factors from anon, authenticated;
+
+-- One row per trusted browser, named by its signed HttpOnly cookie
+create table if not exists public.ollypass_devices (
+  id            uuid primary key default gen_random_uuid(),
+  user_id       uuid not null references auth.users on delete cascade,
+  user_agent    text,
+  created_at    timestamptz not null default now(),
+  trusted_at    timestamptz,
+  last_seen_at  timestamptz,
+  revoked_at    timestamptz
+);
+
+create index if not exists ollypass_devices_user_id_idx on public.ollypass_devices (user_id) where revoked_at is null;
+
+alter table public.ollypass_devices enable row level security;
+revoke all on public.ollypass_devices from anon, authenticated;
@@ -0,0 +1,49 @@
+-- Per-user portfolios (OllyEngine.Portfolio, api/_lib/portfolio.js). Run in
+-- the Supabase SQL editor.
+--
+-- The browser reads, upserts and subscribes to its own row with the anon key
+-- and the user's session, so row level security limits every operation to
+-- user_id = auth.uid(). The OllyDaily cron reads all rows with the service
+-- role. updated_at is set by the browser, since offline edits keep the time
+-- they were made.
+
+create table if not exists public.portfolios (
+  user_id     uuid primary key default auth.uid() references auth.users on delete cascade,
+  items       jsonb not null default '[]'::jsonb,
+  updated_at  timestamptz not null default now()
+);
+
+alter table public.portfolios enable row level security;
+
+drop policy if exists "portfolios_select" on public.portfolios;
+create policy "portfolios_select" on public.portfolios
+  for select to authenticated
+  using (user_id = auth.uid());
+
+drop policy if exists "portfolios_insert" on public.portfolios;
+create policy "portfolios_insert" on public.portfolios
+  for insert to authenticated
+  with check (user_id = auth.uid());
+
+drop policy if exists "portfolios_update" on public.portfolios;
+create policy "portfolios_update" on public.portfolios
+  for update to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "portfolios_delete" on public.portfolios;
+create policy "portfolios_delete" on public.portfolios
+  for delete to authenticated
+  using (user_id = auth.uid());
+
+-- Other devices pick up changes through Supabase Realtime
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'portfolios'
+  ) then
+    alter publication supabase_realtime add table public.portfolios;
+  end if;
+end;
+$$;
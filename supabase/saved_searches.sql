@@ -0,0 +1,31 @@
+-- Saved full-text searches and their scheduled alerts (api/_lib/fulltext.js).
+-- Run in the Supabase SQL editor.
+--
+-- Read and written only by the server with the service role
+-- (api/saved-searches.js and the api/cron/saved-searches.js cron). Row level
+-- security is on with no policies, so the anon and authenticated roles get
+-- nothing.
+
+create table if not exists public.saved_searches (
+  id           uuid primary key default gen_random_uuid(),
+  user_id      uuid not null references auth.users on delete cascade,
+  name         text not null,
+  search       jsonb not null,
+  frequency    text not null default 'off' check (frequency in ('off', 'hourly', 'daily')),
+  notify       boolean not null default false,
+  seen         jsonb not null default '[]'::jsonb,
+  new_hits     jsonb not null default '[]'::jsonb,
+  last_run_at  timestamptz,
+  last_run_truncated boolean not null default false,
+  created_at   timestamptz not null default now(),
+  updated_at   timestamptz not null default now()
+);
+
+-- For tables created before scheduled runs paged through their results
+alter table public.saved_searches add column if not exists last_run_truncated boolean not null default false;
+
+create index if not exists saved_searches_user_id_idx on public.saved_searches (user_id);
+create index if not exists saved_searches_due_idx on public.saved_searches (frequency, last_run_at) where frequency <> 'off';
+
+alter table public.saved_searches enable row level security;
+revoke all on public.saved_searches from anon, authenticated;
@@ -0,0 +1,57 @@
+-- The OllyDaily waiting list (api/_lib/waitlist.js). Run in the Supabase SQL
+-- editor; safe to re-run, and it upgrades a table created before signups
+-- needed confirmation.
+--
+-- Signups now go through /api/waiting-list with the service role, so the
+-- browser no longer inserts directly: row level security is on, every
+-- existing policy (including the old anonymous insert) is dropped, and the
+-- anon and authenticated roles lose their table privileges.
+
+create table if not exists public.waiting_list (
+  id            uuid primary key default gen_random_uuid(),
+  email         text not null,
+  fullname      text,
+  organization  text,
+  source        text,
+  created_at    timestamptz not null default now()
+);
+
+alter table public.waiting_list
+  add column if not exists referrer            text,
+  add column if not exists utm_source          text,
+  add column if not exists utm_medium          text,
+  add column if not exists utm_campaign        text,
+  add column if not exists utm_term            text,
+  add column if not exists utm_content         text,
+  add column if not exists status              text,
+  add column if not exists confirm_token_hash  text,
+  add column if not exists confirm_sent_at     timestamptz,
+  add column if not exists confirmed_at        timestamptz,
+  add column if not exists approved_at         timestamptz,
+  add column if not exists approved_by         text,
+  add column if not exists user_id             uuid references auth.users on delete set null;
+
+-- Rows from before confirmation have no status and count as pending
+alter table public.waiting_list drop constraint if exists waiting_list_status_check;
+alter table public.waiting_list add constraint waiting_list_status_check
+  check (status is null or status in ('pending', 'confirmed', 'approved', 'rejected'));
+
+-- Emails are stored lower-case; one signup per address
+create unique index if not exists waiting_list_email_idx on public.waiting_list (lower(email));
+create index if not exists waiting_list_confirm_token_idx on public.waiting_list (confirm_token_hash) where confirm_token_hash is not null;
+
+alter table public.waiting_list enable row level security;
+
+do $$
+declare
+  policy record;
+begin
+  for policy in
+    select policyname from pg_policies where schemaname = 'public' and tablename = 'waiting_list'
+  loop
+    execute format('drop policy %I on public.waiting_list', policy.policyname);
+  end loop;
+end;
+$$;
+
+revoke all on public.waiting_list from anon, authenticated;
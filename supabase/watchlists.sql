@@ -0,0 +1,118 @@
+-- Named watchlists (OllyEngine.Watchlists). Run in the Supabase SQL editor.
+--
+-- A list is private to its owner until shared with the owner's organization,
+-- which comes from app_metadata.organization in the session JWT. Only admins
+-- set app_metadata, so users can't join a team by editing their profile.
+-- Teammates can read a list shared 'read' and change its items when it is
+-- shared 'edit'; only the owner renames, re-shares or deletes it.
+
+create table if not exists public.watchlists (
+  id            uuid primary key default gen_random_uuid(),
+  owner_id      uuid not null default auth.uid() references auth.users on delete cascade,
+  name          text not null default 'Untitled list',
+  items         jsonb not null default '[]'::jsonb,
+  organization  text,
+  sharing       text not null default 'private' check (sharing in ('private', 'read', 'edit')),
+  created_at    timestamptz not null default now(),
+  updated_at    timestamptz not null default now(),
+  check (sharing = 'private' or organization is not null)
+);
+
+create index if not exists watchlists_owner_id_idx on public.watchlists (owner_id);
+create index if not exists watchlists_organization_idx on public.watchlists (organization) where sharing <> 'private';
+
+-- The caller's organization, or null when an admin hasn't set one
+create or replace function public.watchlist_organization()
+returns text
+language sql
+stable
+as $$
+  select nullif(auth.jwt() -> 'app_metadata' ->> 'organization', '')
+$$;
+
+alter table public.watchlists enable row level security;
+
+drop policy if exists "watchlists_select" on public.watchlists;
+create policy "watchlists_select" on public.watchlists
+  for select to authenticated
+  using (
+    owner_id = auth.uid()
+    or (sharing <> 'private' and organization = public.watchlist_organization())
+  );
+
+drop policy if exists "watchlists_insert" on public.watchlists;
+create policy "watchlists_insert" on public.watchlists
+  for insert to authenticated
+  with check (owner_id = auth.uid());
+
+drop policy if exists "watchlists_update" on public.watchlists;
+create policy "watchlists_update" on public.watchlists
+  for update to authenticated
+  using (
+    owner_id = auth.uid()
+    or (sharing = 'edit' and organization = public.watchlist_organization())
+  )
+  with check (
+    owner_id = auth.uid()
+    or (sharing = 'edit' and organization = public.watchlist_organization())
+  );
+
+drop policy if exists "watchlists_delete" on public.watchlists;
+create policy "watchlists_delete" on public.watchlists
+  for delete to authenticated
+  using (owner_id = auth.uid());
+
+-- RLS can't compare old and new values, so this trigger keeps the owner, name,
+-- sharing and organization in the owner's hands, and stops an owner sharing
+-- a list with an organization they don't belong to. The service role (no
+-- auth.uid()) is not restricted.
+create or replace function public.watchlists_guard()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is null then
+    return new;
+  end if;
+
+  if tg_op = 'UPDATE' then
+    if new.owner_id is distinct from old.owner_id then
+      raise exception 'A watchlist''s owner cannot be changed' using errcode = '42501';
+    end if;
+    if auth.uid() <> old.owner_id and (
+      new.name is distinct from old.name
+      or new.sharing is distinct from old.sharing
+      or new.organization is distinct from old.organization
+      or new.created_at is distinct from old.created_at
+    ) then
+      raise exception 'Only the owner can rename or re-share a watchlist' using errcode = '42501';
+    end if;
+  end if;
+
+  if new.organization is not null
+     and (tg_op = 'INSERT' or new.organization is distinct from old.organization)
+     and new.organization is distinct from public.watchlist_organization() then
+    raise exception 'Watchlists can only be shared with your own organization' using errcode = '42501';
+  end if;
+
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists watchlists_guard on public.watchlists;
+create trigger watchlists_guard
+  before insert or update on public.watchlists
+  for each row execute function public.watchlists_guard();
+
+-- Teammates' edits reach open pages through Supabase Realtime
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'watchlists'
+  ) then
+    alter publication supabase_realtime add table public.watchlists;
+  end if;
+end;
+$$;
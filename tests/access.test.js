@@ -0,0 +1,110 @@
+// OllyPass enforcement in the shared API guard (api/_lib/access.js).
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { USER, installFetch, json, mockRequest, mockResponse, verifiedCookie } from './helpers/api.js';
+
+const { default: accessHandler } = await import('../api/access.js');
+const { default: finnhubHandler } = await import('../api/finnhub.js');
+const { default: devicesHandler } = await import('../api/devices.js');
+const { revokeAllDevices } = await import('../api/_lib/devices.js');
+
+let supabase;
+
+beforeEach(() => {
+  supabase = installFetch();
+});
+
+test('a password-only session is refused by /api/access', async () => {
+  const response = mockResponse();
+  await accessHandler(mockRequest(), response);
+  assert.equal(response.statusCode, 403);
+  assert.equal(response.body.code, 'OLLYPASS_REQUIRED');
+});
+
+test('a password-only session is refused by a quota-spending route', async () => {
+  const response = mockResponse();
+  await finnhubHandler(mockRequest({ query: { ticker: 'AAPL' } }), response);
+  assert.equal(response.statusCode, 403);
+  assert.equal(response.body.code, 'OLLYPASS_REQUIRED');
+  assert.deepEqual(supabase.upstreamCalls, []);
+});
+
+test('a forged device cookie is refused', async () => {
+  const cookie = (await verifiedCookie()).replace(/\.[^.]+$/, '.forged');
+  const response = mockResponse();
+  await accessHandler(mockRequest({ cookie }), response);
+  assert.equal(response.statusCode, 403);
+  assert.equal(response.body.code, 'OLLYPASS_REQUIRED');
+});
+
+test('a session that passed OllyPass gets its access', async () => {
+  const cookie = await verifiedCookie();
+  const response = mockResponse();
+  await accessHandler(mockRequest({ cookie }), response);
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.role, 'analyst');
+});
+
+test('quotes for a verified session are only cached privately', async () => {
+  process.env.FINNHUB_API_KEY = 'finnhub-key';
+  installFetch({ upstream: () => json({ c: 190.5, pc: 188.1, t: 1760000000 }) });
+  const cookie = await verifiedCookie();
+
+  const single = mockResponse();
+  await finnhubHandler(mockRequest({ cookie, query: { ticker: 'AAPL' } }), single);
+  assert.equal(single.statusCode, 200);
+  assert.equal(single.headers['cache-control'], 'private, max-age=15');
+
+  const batch = mockResponse();
+  await finnhubHandler(mockRequest({ cookie, query: { tickers: 'MSFT,NVDA' } }), batch);
+  assert.equal(batch.statusCode, 200);
+  assert.match(batch.headers['cache-control'], /^private, /);
+});
+
+test('revoking the device on the devices page cuts off its access', async () => {
+  const cookie = await verifiedCookie();
+  const revoke = mockResponse();
+  await devicesHandler(mockRequest({ cookie, method: 'POST', body: { action: 'revoke', id: supabase.devices[0].id } }), revoke);
+  assert.equal(revoke.statusCode, 200);
+
+  const response = mockResponse();
+  await finnhubHandler(mockRequest({ cookie, query: { ticker: 'AAPL' } }), response);
+  assert.equal(response.statusCode, 403);
+  assert.equal(response.body.code, 'OLLYPASS_REQUIRED');
+});
+
+test('an admin revoking all devices cuts off every session', async () => {
+  const cookie = await verifiedCookie();
+  await revokeAllDevices(USER.id);
+
+  const response = mockResponse();
+  await accessHandler(mockRequest({ cookie }), response);
+  assert.equal(response.statusCode, 403);
+  assert.equal(response.body.code, 'OLLYPASS_REQUIRED');
+});
+
+test('a suspended admin loses access like anyone else', async () => {
+  const admin = { ...USER, app_metadata: { role: 'admin', status: 'revoked' } };
+  installFetch({ user: admin });
+  const cookie = await verifiedCookie(admin);
+
+  const response = mockResponse();
+  await accessHandler(mockRequest({ cookie }), response);
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.role, 'suspended');
+  assert.equal(response.body.status, 'revoked');
+  assert.deepEqual(response.body.features, []);
+
+  const quote = mockResponse();
+  await finnhubHandler(mockRequest({ cookie, query: { ticker: 'AAPL' } }), quote);
+  assert.equal(quote.statusCode, 403);
+  assert.equal(quote.body.code, 'ACCOUNT_SUSPENDED');
+});
+
+test('a missing session is still a 401', async () => {
+  const response = mockResponse();
+  await accessHandler(mockRequest({ token: null }), response);
+  assert.equal(response.statusCode, 401);
+});
@@ -0,0 +1,40 @@
+// Admin guard and user summaries (api/_lib/admin.js).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { USER, installFetch, mockRequest, mockResponse, verifiedCookie } from './helpers/api.js';
+
+const { default: usersHandler } = await import('../api/admin/users.js');
+const { summarizeUser } = await import('../api/_lib/admin.js');
+
+test('MFA shows as enabled only from app_metadata', () => {
+  const base = { ...USER, app_metadata: { role: 'analyst' } };
+  assert.equal(summarizeUser({ ...base, user_metadata: { ollypass_secret: 'JBSWY3DPEHPK3PXP' } }).mfaEnabled, false);
+  assert.equal(summarizeUser({ ...base, user_metadata: { mfa_enabled: true } }).mfaEnabled, false);
+  assert.equal(summarizeUser({ ...base, app_metadata: { role: 'analyst', mfa_enabled: true } }).mfaEnabled, true);
+});
+
+test('a revoked admin is refused by the admin routes', async () => {
+  const admin = { ...USER, app_metadata: { role: 'admin', status: 'revoked' } };
+  installFetch({ user: admin });
+  const cookie = await verifiedCookie(admin);
+
+  const response = mockResponse();
+  await usersHandler(mockRequest({ cookie }), response);
+  assert.equal(response.statusCode, 403);
+  assert.equal(response.body.code, 'FORBIDDEN');
+});
+
+test('a banned admin from ADMIN_EMAILS is refused by the admin routes', async (t) => {
+  process.env.ADMIN_EMAILS = USER.email;
+  t.after(() => { delete process.env.ADMIN_EMAILS; });
+  const admin = { ...USER, app_metadata: {}, banned_until: '2999-01-01T00:00:00Z' };
+  installFetch({ user: admin });
+  const cookie = await verifiedCookie(admin);
+
+  const response = mockResponse();
+  await usersHandler(mockRequest({ cookie }), response);
+  assert.equal(response.statusCode, 403);
+  assert.equal(response.body.code, 'FORBIDDEN');
+});
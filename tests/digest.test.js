@@ -0,0 +1,150 @@
+// OllyDaily: the digest built from data/ollydaily/fixture-day.json, how
+// fetchDay pages through sec-api.io, and the cron run that mails it.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { normalizeDay, buildDigest, digestSubject, renderDigestHtml, renderDigestText } from '../api/_lib/digest.js';
+import { fetchDay } from '../api/_lib/ollydaily.js';
+import { registerTransport } from '../api/_lib/mail.js';
+import { USER, json, mockRequest, mockResponse } from './helpers/api.js';
+
+const { default: cronHandler } = await import('../api/cron/ollydaily.js');
+
+const fixture = JSON.parse(fs.readFileSync(new URL('../data/ollydaily/fixture-day.json', import.meta.url), 'utf8'));
+const ARCHIVE_URL = 'https://ollytracker.example/ollydaily-archive.html?date=2026-10-16';
+
+function fixtureDigest(raw = fixture) {
+  return buildDigest(normalizeDay(raw), fixture.portfolio, { archiveUrl: ARCHIVE_URL, user: { email: 'reader@example.com' } });
+}
+
+test('the fixture day builds the expected digest', () => {
+  const digest = fixtureDigest();
+
+  assert.deepEqual(digest.stats, {
+    insiderFilings: 4,
+    insiderBuys: 2,
+    insiderBuyValue: 1788500,
+    eightKs: 5,
+    stakes: 2,
+    auditorChanges: 1
+  });
+  assert.deepEqual(digest.truncated, []);
+
+  const companies = digest.portfolio.companies.map((company) =>
+    [company.ticker, company.filings.length, company.trades.length, company.stakes.length]);
+  assert.deepEqual(companies, [['AAPL', 2, 1, 0], ['KR', 1, 1, 1]]);
+  assert.deepEqual(digest.portfolio.insiders.map((insider) => insider.cik), ['1214156']);
+
+  assert.deepEqual(digest.market.insiderBuys.map((trade) => trade.ticker), ['TSLA', 'KR']);
+  assert.deepEqual(digest.market.eightKs.map((filing) => filing.ticker), ['EXRH', 'SBIO', 'KR']);
+  assert.deepEqual(digest.market.stakes.map((stake) => stake.percent), [14.8, 6.2]);
+  assert.equal(digestSubject(digest), 'OllyDaily for Friday, October 16, 2026: 3 of your watched names filed');
+});
+
+test('the fixture digest renders as text and HTML', () => {
+  const digest = fixtureDigest();
+
+  const text = renderDigestText(digest);
+  assert.match(text, /^OLLYDAILY — Friday, October 16, 2026/);
+  assert.match(text, /4 insider filings \(2 with open-market buys, \$1\.8M\), 5 8-Ks, 2 13D stakes, 1 auditor changes\./);
+  assert.match(text, /Jane Q\. Director \(Director\) bought 15,000 shares \(\$789K\) {2}\[INSIDER BUY\]/);
+  assert.match(text, /1\. Tesla, Inc\. \(TSLA\) — .* bought \$1\.0M/);
+  assert.match(text, /Big Four Example LLP -> Regional Audit Partners LLP \(dismissed\)/);
+  assert.ok(text.includes(`Past digests: ${ARCHIVE_URL}`));
+  assert.doesNotMatch(text, /Incomplete day/);
+
+  const html = renderDigestHtml(digest);
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.ok(html.includes('<title>OllyDaily for Friday, October 16, 2026: 3 of your watched names filed</title>'));
+  assert.ok(html.includes('Tesla, Inc. (TSLA)'));
+  assert.ok(html.includes('Big Four Example LLP → Regional Audit Partners LLP'));
+  assert.doesNotMatch(html, /<script/i);
+});
+
+test('lists cut short are named in both renderings', () => {
+  const digest = fixtureDigest({ ...fixture, truncated: ['insiderTrading', 'bogus'] });
+
+  assert.deepEqual(digest.truncated, ['insider filings']);
+  assert.match(renderDigestText(digest), /Incomplete day: .*10,000 results for insider filings/);
+  assert.match(renderDigestHtml(digest), /Incomplete day: .*10,000 results for insider filings/);
+});
+
+test('fetchDay pages past 1,000 results and reports lists that hit the ceiling', async (t) => {
+  process.env.SEC_API_KEY = 'test-key';
+  const realFetch = globalThis.fetch;
+  t.after(() => { globalThis.fetch = realFetch; });
+
+  const calls = new Map();
+  globalThis.fetch = async (url, init) => {
+    const { query, from, size } = JSON.parse(init.body);
+    const path = new URL(url).pathname;
+    calls.set(path, (calls.get(path) || 0) + 1);
+    // Insider filings never run out; 8-Ks stop at 1,520
+    const available = path === '/insider-trading' ? Infinity : /formType:"8-K"/.test(query) ? 1520 : 0;
+    const count = Math.max(0, Math.min(Number(size), available - Number(from)));
+    const batch = Array.from({ length: count }, (_, i) => ({ accessionNo: `${Number(from) + i}` }));
+    const key = path === '/insider-trading' ? 'transactions' : path === '/form-8k' ? 'data' : 'filings';
+    return new Response(JSON.stringify({ [key]: batch }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+
+  const raw = await fetchDay('2026-10-16');
+  assert.equal(raw.eightK.length, 1520);
+  assert.equal(raw.insiderTrading.length, 10000);
+  assert.equal(calls.get('/insider-trading'), 200);
+  assert.deepEqual(raw.truncated, ['insiderTrading']);
+});
+
+test('a digest that cannot be archived is reported by user id and the rest still go out', async (t) => {
+  process.env.SEC_API_KEY = 'test-key';
+  process.env.CRON_SECRET = 'cron-secret';
+  process.env.MAIL_TRANSPORT = 'digest-test';
+  const realFetch = globalThis.fetch;
+  t.after(() => {
+    globalThis.fetch = realFetch;
+    delete process.env.CRON_SECRET;
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  const sent = [];
+  registerTransport('digest-test', async (message) => sent.push(message.to));
+  const users = [
+    { ...USER, id: 'user-1', email: 'first@example.com' },
+    { ...USER, id: 'user-2', email: 'second@example.com' }
+  ];
+  globalThis.fetch = async (url, init = {}) => {
+    const { origin, pathname } = new URL(url);
+    if (origin !== process.env.SUPABASE_URL) return json({ transactions: [], filings: [], data: [] });
+    if (pathname === '/auth/v1/admin/users') return json({ users });
+    if (pathname === '/rest/v1/ollydaily_digests' && init.method === 'POST') {
+      const row = JSON.parse(init.body);
+      return row.user_id === 'user-1' ? json({ message: 'archive unavailable' }, 503) : json([row]);
+    }
+    if (init.method === 'PATCH') return new Response(null, { status: 204 });
+    return json([]);
+  };
+
+  const response = mockResponse();
+  await cronHandler(mockRequest({ token: 'cron-secret' }), response);
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(sent, ['second@example.com']);
+  assert.equal(response.body.sent, 1);
+  assert.deepEqual(response.body.failed.map((failure) => failure.userId), ['user-1']);
+  assert.doesNotMatch(JSON.stringify(response.body.failed), /@/);
+});
+
+test('auditor changes are queried as 8-Ks with an Item 4.01 section', async (t) => {
+  process.env.SEC_API_KEY = 'test-key';
+  const realFetch = globalThis.fetch;
+  t.after(() => { globalThis.fetch = realFetch; });
+
+  const queries = [];
+  globalThis.fetch = async (url, init) => {
+    if (new URL(url).pathname === '/form-8k') queries.push(JSON.parse(init.body).query);
+    return json({ transactions: [], filings: [], data: [] });
+  };
+
+  await fetchDay('2026-10-16');
+  assert.deepEqual(queries, ['item4_01:* AND filedAt:[2026-10-16 TO 2026-10-16]']);
+});
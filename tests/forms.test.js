@@ -0,0 +1,36 @@
+// OllyEngine.Forms against a fixture of raw EDGAR form strings
+// (tests/fixtures/form-types.json).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { loadEngine } from './helpers/engine.js';
+
+const fixture = JSON.parse(fs.readFileSync(new URL('./fixtures/form-types.json', import.meta.url), 'utf8'));
+const { Forms } = loadEngine();
+
+for (const expected of fixture.classify) {
+  test(`classify ${JSON.stringify(expected.raw)} -> ${expected.family}`, () => {
+    const info = Forms.classify(expected.raw);
+    const { raw, ...fields } = expected;
+    assert.deepEqual(Object.fromEntries(Object.keys(fields).map((key) => [key, info[key]])), fields);
+  });
+}
+
+for (const { formType, filter, items, expected } of fixture.matches) {
+  test(`matches(${JSON.stringify(formType)}, ${JSON.stringify(filter)}) is ${expected}`, () => {
+    assert.equal(Forms.matches(formType, filter, items), expected);
+  });
+}
+
+test('only Forms 3, 4 and 5 count as insider filings', () => {
+  const insiders = fixture.classify.filter((entry) => Forms.isInsider(entry.raw)).map((entry) => entry.family);
+  assert.deepEqual([...new Set(insiders)].sort(), ['3', '4', '5']);
+});
+
+test('every family in the taxonomy classifies to itself', () => {
+  for (const entry of Forms.FAMILIES) {
+    assert.equal(Forms.family(entry.family), entry.family, entry.family);
+  }
+});
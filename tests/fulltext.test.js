@@ -0,0 +1,91 @@
+// Query parsing, snippet extraction and result paging for full-text search
+// (api/_lib/fulltext.js).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { queryTerms, extractSnippets, runAllPages, PAGE_SIZE, MAX_RUN_PAGES } from '../api/_lib/fulltext.js';
+
+const TEXT = 'The auditor raised substantial doubt about the company\'s ability to continue as a going concern. '
+  + 'Management plans to restate the 2025 results; the restatement covers three quarters. '
+  + 'A draft of the plan was shared with the board.';
+
+const plain = (segments) => segments.map((segment) => segment.text).join('');
+const hits = (segments) => segments.filter((segment) => segment.hit).map((segment) => segment.text);
+
+test('queryTerms keeps phrases and prefixes and drops operators and exclusions', () => {
+  assert.deepEqual(queryTerms('"going concern" OR restat* -draft AND NOT -"material weakness"'), ['going concern', 'restat*']);
+});
+
+test('queryTerms drops bare wildcards and punctuation', () => {
+  assert.deepEqual(queryTerms('*'), []);
+  assert.deepEqual(queryTerms('** - " " restat*'), ['restat*']);
+});
+
+test('queryTerms de-duplicates and tolerates empty input', () => {
+  assert.deepEqual(queryTerms('merger merger'), ['merger']);
+  assert.deepEqual(queryTerms(''), []);
+  assert.deepEqual(queryTerms(undefined), []);
+});
+
+test('extractSnippets highlights phrases and prefix matches', () => {
+  const snippets = extractSnippets(TEXT, '"going concern" restat*', { radius: 400 });
+  assert.equal(snippets.length, 1);
+  assert.deepEqual(hits(snippets[0]), ['going concern', 'restate', 'restatement']);
+  assert.equal(plain(snippets[0]), TEXT);
+});
+
+test('extractSnippets marks trimmed passages with ellipses', () => {
+  const [segments] = extractSnippets(TEXT, 'restatement', { radius: 10 });
+  const text = plain(segments);
+  assert.ok(text.startsWith('…') && text.endsWith('…'));
+  assert.deepEqual(hits(segments), ['restatement']);
+});
+
+test('extractSnippets stops at max and skips overlapping passages', () => {
+  const text = Array.from({ length: 10 }, (_, i) => `merger ${'x'.repeat(300)} ${i}`).join(' ');
+  assert.equal(extractSnippets(text, 'merger', { max: 3, radius: 20 }).length, 3);
+  assert.equal(extractSnippets(TEXT, 'the', { radius: 1000 }).length, 1);
+});
+
+test('extractSnippets returns nothing for wildcard-only or unmatched queries', () => {
+  assert.deepEqual(extractSnippets(TEXT, '*'), []);
+  assert.deepEqual(extractSnippets(TEXT, '-draft'), []);
+  assert.deepEqual(extractSnippets(TEXT, 'dividend'), []);
+  assert.deepEqual(extractSnippets('', 'merger'), []);
+});
+
+test('extractSnippets finishes on terms that can match an empty string', () => {
+  // A single-character prefix still matches; nothing may loop on empty matches
+  const snippets = extractSnippets(TEXT, 'a* *', { max: 2, radius: 5 });
+  assert.equal(snippets.length, 2);
+  assert.ok(snippets.every((segments) => hits(segments).every((hit) => hit.length > 0)));
+});
+
+test('runAllPages reads every page and flags searches cut short by the cap', async (t) => {
+  process.env.SEC_API_KEY = 'test-key';
+  const realFetch = globalThis.fetch;
+  t.after(() => { globalThis.fetch = realFetch; });
+
+  let available = 250;
+  const pages = [];
+  globalThis.fetch = async (url, init) => {
+    const page = Number(JSON.parse(init.body).page);
+    pages.push(page);
+    const count = Math.max(0, Math.min(PAGE_SIZE, available - (page - 1) * PAGE_SIZE));
+    const filings = Array.from({ length: count }, (_, i) => ({ accessionNo: `${page}-${i}` }));
+    return new Response(JSON.stringify({ total: { value: available }, filings }), { status: 200 });
+  };
+
+  let run = await runAllPages({ query: 'going concern' });
+  assert.equal(run.filings.length, 250);
+  assert.equal(run.truncated, false);
+  assert.deepEqual(pages, [1, 2, 3]);
+
+  available = 5000;
+  pages.length = 0;
+  run = await runAllPages({ query: 'going concern' });
+  assert.equal(run.filings.length, MAX_RUN_PAGES * PAGE_SIZE);
+  assert.equal(run.truncated, true);
+  assert.equal(pages.length, MAX_RUN_PAGES);
+});
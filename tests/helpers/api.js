@@ -0,0 +1,90 @@
+// Request/response doubles for the Vercel handlers in api/, and an in-memory
+// Supabase behind fetch: /auth/v1/user resolves the bearer token and
+// /rest/v1/ollypass_devices is a small table. Any other URL goes to the
+// `upstream` handler the test installs.
+
+import { trustDevice } from '../../api/_lib/devices.js';
+
+process.env.SUPABASE_URL = 'https://supabase.test';
+process.env.SUPABASE_ANON_KEY = 'anon';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service';
+process.env.OLLYPASS_DEVICE_SECRET = 'device-secret';
+
+export const USER = {
+  id: 'user-1',
+  email: 'analyst@example.com',
+  email_confirmed_at: '2026-01-01T00:00:00Z',
+  created_at: '2026-01-01T00:00:00Z',
+  app_metadata: { role: 'analyst', mfa_enabled: true }
+};
+
+export function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status });
+}
+
+// Replaces fetch; returns the state the fake Supabase keeps
+export function installFetch({ user = USER, upstream = null } = {}) {
+  const state = { devices: [], upstreamCalls: [] };
+
+  globalThis.fetch = async (url, options = {}) => {
+    const { origin, pathname, searchParams } = new URL(url);
+    if (origin !== process.env.SUPABASE_URL) {
+      state.upstreamCalls.push(url);
+      if (upstream) return upstream(url, options);
+      throw new Error(`Unexpected fetch ${url}`);
+    }
+
+    if (pathname === '/auth/v1/user') {
+      return options.headers.Authorization === 'Bearer good-token' ? json(user) : json({ msg: 'invalid' }, 401);
+    }
+    if (pathname === '/rest/v1/ollypass_devices') {
+      const id = searchParams.get('id')?.replace(/^eq\./, '');
+      const unrevoked = searchParams.get('revoked_at') === 'is.null';
+      const matches = state.devices.filter((device) => (!id || device.id === id) && (!unrevoked || !device.revoked_at));
+      if (options.method === 'POST') {
+        const row = JSON.parse(options.body);
+        state.devices.push(row);
+        return json([row]);
+      }
+      if (options.method === 'PATCH') {
+        matches.forEach((device) => Object.assign(device, JSON.parse(options.body)));
+      }
+      return json(matches);
+    }
+    throw new Error(`Unexpected Supabase call ${url}`);
+  };
+  return state;
+}
+
+export function mockRequest({ token = 'good-token', cookie = '', method = 'GET', query = {}, body } = {}) {
+  return {
+    method,
+    query,
+    body,
+    headers: {
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
+      ...(cookie ? { cookie } : {}),
+      'user-agent': 'node-test'
+    }
+  };
+}
+
+export function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+}
+
+// Passes OllyPass the way a successful /api/ollypass verify does and
+// returns the device cookie
+export async function verifiedCookie(user = USER) {
+  const response = mockResponse();
+  await trustDevice(mockRequest(), response, user);
+  return response.headers['set-cookie'].split(';')[0];
+}
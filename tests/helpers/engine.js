@@ -0,0 +1,36 @@
+// Loads js/OllyEngine.js the way a page does, into a fresh context with the
+// browser globals it touches stubbed out. Returns the context's OllyEngine.
+
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const SOURCE = fs.readFileSync(new URL('../../js/OllyEngine.js', import.meta.url), 'utf8');
+
+export function memoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+export function loadEngine(globals = {}) {
+  const context = {
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    URL,
+    URLSearchParams,
+    localStorage: memoryStorage(),
+    fetch: async () => { throw new Error('fetch is not available in this test'); },
+    ...globals
+  };
+  context.window = context;
+  vm.createContext(context);
+  vm.runInContext(SOURCE, context, { filename: 'js/OllyEngine.js' });
+  return context.OllyEngine;
+}
@@ -0,0 +1,28 @@
+// Shared route helpers (api/_lib/http.js).
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isCronRequest } from '../api/_lib/http.js';
+
+const withAuth = (authorization) => ({ headers: authorization === undefined ? {} : { authorization } });
+
+afterEach(() => {
+  delete process.env.CRON_SECRET;
+});
+
+test('cron requests need the exact bearer secret', () => {
+  process.env.CRON_SECRET = 's3cret';
+
+  assert.equal(isCronRequest(withAuth('Bearer s3cret')), true);
+  assert.equal(isCronRequest({ headers: { Authorization: 'Bearer s3cret' } }), true);
+  assert.equal(isCronRequest(withAuth('Bearer s3cre')), false);
+  assert.equal(isCronRequest(withAuth('Bearer s3cret-and-more')), false);
+  assert.equal(isCronRequest(withAuth('s3cret')), false);
+  assert.equal(isCronRequest(withAuth()), false);
+});
+
+test('nothing counts as cron when CRON_SECRET is unset', () => {
+  assert.equal(isCronRequest(withAuth('Bearer ')), false);
+  assert.equal(isCronRequest(withAuth('Bearer undefined')), false);
+});
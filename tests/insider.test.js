@@ -0,0 +1,87 @@
+// OllyEngine.Insider: how a Form 4 is summarised and labelled, how payload
+// lookups for streamed filings are batched, and owner history paging.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadEngine } from './helpers/engine.js';
+
+const trade = (code, acquiredDisposed, value) => ({ table: 'nonDerivative', code, acquiredDisposed, value });
+
+test('a small purchase beside a large withholding is a net sell but an open-market buy', () => {
+  const { Insider } = loadEngine();
+  const summary = Insider.summarize([trade('P', 'A', 50000), trade('F', 'D', 1200000)]);
+
+  assert.equal(summary.direction, 'sell');
+  assert.equal(summary.netValue, -1150000);
+  assert.equal(summary.openMarketDirection, 'buy');
+  assert.equal(summary.openMarketValue, 50000);
+  assert.equal(Insider.summaryLabel(summary), 'Net sell $1.15M (open market: buy $50.0K)');
+});
+
+test('labels only repeat the open-market figure when it differs from the net', () => {
+  const { Insider } = loadEngine();
+
+  assert.equal(Insider.summaryLabel(Insider.summarize([trade('S', 'D', 2500)])), 'Net sell $2.5K');
+  assert.equal(Insider.summaryLabel(Insider.summarize([trade('P', 'A', 1000), trade('S', 'D', 1000)])), '');
+  assert.equal(
+    Insider.summaryLabel(Insider.summarize([trade('P', 'A', 1000), trade('S', 'D', 1000), trade('A', 'A', 500)])),
+    'Net buy $500'
+  );
+});
+
+test('payloads requested together share one sec-api call', async () => {
+  const calls = [];
+  const { Insider } = loadEngine({
+    Olly: {
+      callSecApi: async (endpoint, body) => {
+        calls.push({ endpoint, body });
+        return { transactions: [{ accessionNo: '0001-24-000001', issuer: { tradingSymbol: 'AAA' } }] };
+      }
+    }
+  });
+
+  const [found, missing] = await Promise.all([
+    Insider.fetchPayload('0001-24-000001'),
+    Insider.fetchPayload('0001-24-000002')
+  ]);
+  assert.equal(found.issuer.tradingSymbol, 'AAA');
+  assert.equal(missing, null);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].endpoint, 'insider-trading');
+  assert.equal(calls[0].body.query, 'accessionNo:("0001-24-000001" OR "0001-24-000002")');
+
+  await Insider.fetchPayload('0001-24-000001');
+  assert.equal(calls.length, 1);
+});
+
+test('owner history runs past the 10,000 sec-api reports as its total', async () => {
+  const filings = Array.from({ length: 10120 }, (_, i) => ({
+    accessionNo: `0000000001-00-${String(i).padStart(6, '0')}`,
+    filedAt: new Date(Date.UTC(2000, 0, 1) + (10120 - i) * 3600000).toISOString()
+  }));
+  const queries = [];
+  const { Insider } = loadEngine({
+    Olly: {
+      callSecApi: async (endpoint, body) => {
+        queries.push(body.query);
+        assert.ok(body.from + body.size <= 10000, 'sec-api rejects offsets past 10,000');
+        const range = body.query.match(/filedAt:\[\* TO (.*)\]/);
+        if (range) assert.match(range[1], /^"[^"]+"$/);
+        const matching = range ? filings.filter(f => f.filedAt <= JSON.parse(range[1])) : filings;
+        return {
+          total: { value: Math.min(matching.length, 10000), relation: matching.length > 10000 ? 'gte' : 'eq' },
+          transactions: matching.slice(body.from, body.from + body.size)
+        };
+      }
+    }
+  });
+
+  const progress = [];
+  const history = await Insider.fetchOwnerHistory({ cik: '0001214156' }, (fetched, total) => progress.push([fetched, total]));
+  assert.equal(history.filings.length, 10120);
+  assert.equal(history.total, 10120);
+  assert.equal(history.query, 'reportingOwner.cik:1214156');
+  assert.ok(queries.some(query => query.includes('filedAt:[* TO "')));
+  assert.deepEqual(progress[progress.length - 1], [10120, 10120]);
+});
@@ -0,0 +1,109 @@
+// Transport selection and SMTP safety checks (api/_lib/mail.js). The SMTP
+// tests talk to a scripted server on a local port.
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+
+import { sendMail, registerTransport, MailError } from '../api/_lib/mail.js';
+
+const MAIL_ENV = ['MAIL_TRANSPORT', 'SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASS', 'SMTP_SECURE', 'SMTP_INSECURE'];
+const MESSAGE = { to: 'analyst@example.com', subject: 'Hello', text: 'Hi there' };
+
+afterEach(() => {
+  MAIL_ENV.forEach((name) => delete process.env[name]);
+});
+
+// An SMTP server that never offers STARTTLS and records what it was sent
+async function plainSmtpServer() {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let inData = false;
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      for (const line of chunk.toString().split('\r\n').filter(Boolean)) {
+        received.push(line);
+        if (inData) {
+          if (line === '.') { inData = false; socket.write('250 queued\r\n'); }
+        } else if (line.startsWith('EHLO')) socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+        else if (line === 'DATA') { inData = true; socket.write('354 go\r\n'); }
+        else if (line === 'QUIT') { socket.end('221 bye\r\n'); }
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(server.address().port);
+  return { received, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+test('sending without any transport configured fails instead of logging', async () => {
+  await assert.rejects(sendMail(MESSAGE), (error) => error instanceof MailError && error.code === 'NOT_CONFIGURED');
+});
+
+test('an explicitly chosen transport is used', async () => {
+  const sent = [];
+  registerTransport('capture', async (message) => sent.push(message));
+  process.env.MAIL_TRANSPORT = 'capture';
+  await sendMail(MESSAGE);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, MESSAGE.to);
+});
+
+test('an unknown transport is a configuration error', async () => {
+  process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+  await assert.rejects(sendMail(MESSAGE), (error) => error instanceof MailError && error.code === 'NOT_CONFIGURED');
+});
+
+test('credentials are not sent over a connection without STARTTLS', async () => {
+  const server = await plainSmtpServer();
+  process.env.SMTP_USER = 'mailer';
+  process.env.SMTP_PASS = 'secret';
+  try {
+    await assert.rejects(sendMail(MESSAGE), (error) => error instanceof MailError && /STARTTLS/.test(error.message));
+    assert.ok(!server.received.some((line) => line.startsWith('AUTH')));
+  } finally {
+    await server.close();
+  }
+});
+
+test('SMTP_INSECURE allows authenticating to a local catcher', async () => {
+  const server = await plainSmtpServer();
+  process.env.SMTP_USER = 'mailer';
+  process.env.SMTP_PASS = 'secret';
+  process.env.SMTP_INSECURE = 'true';
+  try {
+    await sendMail(MESSAGE);
+    assert.ok(server.received.some((line) => line.startsWith('AUTH PLAIN')));
+    assert.ok(server.received.includes('RCPT TO:<analyst@example.com>'));
+  } finally {
+    await server.close();
+  }
+});
+
+test('an unauthenticated catcher needs no TLS', async () => {
+  const server = await plainSmtpServer();
+  try {
+    await sendMail(MESSAGE);
+    assert.ok(server.received.includes('DATA'));
+  } finally {
+    await server.close();
+  }
+});
+
+test('a server that hangs up mid-conversation fails the send instead of hanging', async () => {
+  const server = net.createServer((socket) => {
+    socket.write('220 test ESMTP\r\n');
+    socket.once('data', () => socket.end());
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(server.address().port);
+  try {
+    await assert.rejects(sendMail(MESSAGE), (error) => error instanceof MailError && /closed/.test(error.message));
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
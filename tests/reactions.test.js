@@ -0,0 +1,60 @@
+// OllyEngine.Reactions: which marks a filing gets, and which reach the study.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadEngine } from './helpers/engine.js';
+
+const at = (iso) => Date.parse(iso);
+
+test('intraday marks apply only inside regular trading hours', () => {
+  const { Reactions } = loadEngine();
+
+  const morning = Reactions.schedule(at('2024-03-12T14:00:00Z'));   // Tue 10:00 New York
+  assert.equal(morning.m15.na, undefined);
+  assert.equal(morning.h1.na, undefined);
+  assert.equal(morning.close.due, at('2024-03-12T20:00:00Z'));
+
+  const lateAfternoon = Reactions.schedule(at('2024-03-12T19:30:00Z'));   // 15:30, +1h is after the close
+  assert.equal(lateAfternoon.m15.na, undefined);
+  assert.equal(lateAfternoon.h1.na, true);
+
+  const evening = Reactions.schedule(at('2024-03-12T22:00:00Z'));   // 18:00
+  assert.equal(evening.m15.na, true);
+  assert.equal(evening.h1.na, true);
+  assert.equal(evening.close.due, at('2024-03-13T20:00:00Z'));
+
+  const saturday = Reactions.schedule(at('2024-03-16T15:00:00Z'));
+  assert.equal(saturday.m15.na, true);
+  assert.equal(saturday.close.due, at('2024-03-18T20:00:00Z'));
+});
+
+test('n/a marks are never captured', () => {
+  const { Reactions } = loadEngine();
+  const marks = Reactions.schedule(at('2024-03-12T22:00:00Z'));
+
+  assert.equal(Reactions.isOpen(marks.m15), false);
+  assert.equal(Reactions.isOpen(marks.close), true);
+  assert.equal(Reactions.isComplete({ marks: { ...marks, close: { ...marks.close, price: 10 }, d1: { ...marks.d1, price: 11 } } }), true);
+});
+
+test('the study leaves out intraday returns taken outside regular hours', () => {
+  const { Reactions } = loadEngine();
+  const receivedAt = at('2024-03-12T22:00:00Z');
+  // Captured before marks were flagged n/a: the prices are there, but meaningless
+  const reaction = {
+    receipt: { price: 100, at: receivedAt },
+    marks: {
+      m15: { due: receivedAt + 15 * 60000, price: 101 },
+      h1: { due: receivedAt + 60 * 60000, price: 102 },
+      close: { due: at('2024-03-13T20:00:00Z'), price: 110 },
+      d1: { due: at('2024-03-14T20:00:00Z'), price: 90 }
+    }
+  };
+
+  assert.deepEqual(Object.keys(Reactions.returns(reaction)), ['close', 'd1']);
+  const [group] = Reactions.study([{ formType: '8-K', reaction }]).forms;
+  assert.equal(group.marks.m15.n, 0);
+  assert.equal(group.marks.close.n, 1);
+  assert.equal(Math.round(group.marks.close.mean), 10);
+});
@@ -0,0 +1,103 @@
+// SIC lookups from SEC submissions data: the ?ciks= form of
+// api/reference-data.js and OllyEngine.Reference.resolveSic.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installFetch, json, mockRequest, mockResponse, verifiedCookie } from './helpers/api.js';
+import { loadEngine } from './helpers/engine.js';
+
+const { default: referenceHandler } = await import('../api/reference-data.js');
+
+const SUBMISSIONS = {
+  '0000320193': { cik: '320193', sic: '3571', sicDescription: 'Electronic Computers' },
+  '0001045810': { cik: '1045810', sic: '3674', sicDescription: 'Semiconductors & Related Devices' }
+};
+
+let supabase;
+
+beforeEach(() => {
+  supabase = installFetch({
+    upstream: (url) => {
+      const match = url.match(/^https:\/\/data\.sec\.gov\/submissions\/CIK(\d{10})\.json$/);
+      if (!match) throw new Error(`Unexpected fetch ${url}`);
+      if (match[1] === '0000000099') return new Response('boom', { status: 500 });
+      return SUBMISSIONS[match[1]] ? json(SUBMISSIONS[match[1]]) : new Response('Not Found', { status: 404 });
+    }
+  });
+});
+
+test('SIC codes come from SEC submissions, with nulls for unknown CIKs', async () => {
+  const cookie = await verifiedCookie();
+  const response = mockResponse();
+  await referenceHandler(mockRequest({ cookie, query: { ciks: '0000320193,1045810,12345' } }), response);
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.body.companies, {
+    320193: { sic: 3571, sicDescription: 'Electronic Computers' },
+    1045810: { sic: 3674, sicDescription: 'Semiconductors & Related Devices' },
+    12345: { sic: null, sicDescription: null }
+  });
+});
+
+test('failed lookups are left out so they can be retried, and hits are cached', async () => {
+  const cookie = await verifiedCookie();
+  const response = mockResponse();
+  await referenceHandler(mockRequest({ cookie, query: { ciks: '99,320193' } }), response);
+
+  assert.deepEqual(Object.keys(response.body.companies), ['320193']);
+  assert.deepEqual(supabase.upstreamCalls, ['https://data.sec.gov/submissions/CIK0000000099.json']);
+});
+
+test('SIC lookups need a verified session and a sane batch', async () => {
+  const refused = mockResponse();
+  await referenceHandler(mockRequest({ query: { ciks: '320193' } }), refused);
+  assert.equal(refused.statusCode, 403);
+
+  const cookie = await verifiedCookie();
+  const empty = mockResponse();
+  await referenceHandler(mockRequest({ cookie, query: { ciks: 'abc' } }), empty);
+  assert.equal(empty.statusCode, 400);
+
+  const tooMany = mockResponse();
+  const ciks = Array.from({ length: 51 }, (_, i) => String(i + 1)).join(',');
+  await referenceHandler(mockRequest({ cookie, query: { ciks } }), tooMany);
+  assert.equal(tooMany.body.code, 'BATCH_TOO_LARGE');
+});
+
+test('resolveSic batches CIKs into one request and fills in the sector', async () => {
+  const requests = [];
+  const Reference = loadEngine({
+    fetch: async (url) => {
+      requests.push(url);
+      return json({ companies: { 320193: { sic: 3571 }, 777: { sic: null } } });
+    }
+  }).Reference;
+  let notified = 0;
+  Reference.subscribe(() => notified++);
+
+  const [apple, unknown] = await Promise.all([Reference.resolveSic('0000320193'), Reference.resolveSic('777')]);
+  assert.equal(apple, 3571);
+  assert.equal(unknown, null);
+  assert.deepEqual(requests, ['/api/reference-data?ciks=320193,777']);
+  assert.equal(Reference.getSector(null, '320193'), 'Technology');
+  assert.equal(notified, 1);
+
+  // Known answers, including "SEC has none", don't ask again
+  await Reference.resolveSic('320193');
+  await Reference.resolveSic('777');
+  assert.equal(requests.length, 1);
+});
+
+test('only indices with members are offered, and the rest of the market is unclassified', () => {
+  const Reference = loadEngine().Reference;
+  Reference.apply({
+    fields: ['cik', 'name', 'ticker', 'exchange', 'sic'],
+    data: [[320193, 'Apple Inc.', 'AAPL', 'Nasdaq', 3571], [1, 'Tiny Co', 'TINY', 'OTC', null]],
+    indices: { DOW30: ['AAPL'], SP500: [] },
+    marketCaps: {}
+  });
+  assert.deepEqual(JSON.parse(JSON.stringify(Reference.indices())), [{ key: 'DOW30', name: 'Dow Jones 30' }]);
+  assert.equal(Reference.getMarketCap('AAPL'), 'large');
+  assert.equal(Reference.getMarketCap('TINY'), 'unknown');
+});
@@ -0,0 +1,92 @@
+// Waiting-list signup and the admin approval route (api/waiting-list.js,
+// api/admin/waiting-list/[id].js), against a fake waiting_list table.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { registerTransport, MailError } from '../api/_lib/mail.js';
+import { USER, json, installFetch, mockRequest, mockResponse, verifiedCookie } from './helpers/api.js';
+
+const { default: signupHandler } = await import('../api/waiting-list.js');
+const { default: approvalHandler } = await import('../api/admin/waiting-list/[id].js');
+
+const ADMIN = { ...USER, app_metadata: { role: 'admin', mfa_enabled: true } };
+
+// installFetch plus an in-memory waiting_list; returns the rows and every
+// other call the routes made
+function installWaitlist(rows, options) {
+  const state = installFetch(options);
+  const supabase = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname !== '/rest/v1/waiting_list') {
+      if (!pathname.startsWith('/auth/v1/user') && !pathname.startsWith('/rest/v1/ollypass_devices')) calls.push(pathname);
+      return supabase(url, init);
+    }
+    const filter = [...searchParams].find(([key]) => !['select', 'limit', 'order'].includes(key));
+    const matches = filter ? rows.filter((row) => `eq.${row[filter[0]]}` === filter[1]) : rows;
+    if (init.method === 'POST') {
+      const row = { id: `entry-${rows.length + 1}`, ...JSON.parse(init.body) };
+      rows.push(row);
+      return json([row]);
+    }
+    if (init.method === 'PATCH') matches.forEach((row) => Object.assign(row, JSON.parse(init.body)));
+    return json(matches);
+  };
+  return { ...state, rows, calls };
+}
+
+test('a signup that has not confirmed its email cannot be approved', async () => {
+  const { rows, calls } = installWaitlist(
+    [{ id: 'entry-1', email: 'new@example.com', status: 'pending' }],
+    { user: ADMIN }
+  );
+  const cookie = await verifiedCookie(ADMIN);
+
+  const response = mockResponse();
+  await approvalHandler(mockRequest({ cookie, method: 'POST', query: { id: 'entry-1' }, body: { action: 'approve' } }), response);
+  assert.equal(response.statusCode, 409);
+  assert.equal(response.body.code, 'NOT_CONFIRMED');
+  assert.equal(rows[0].status, 'pending');
+  assert.deepEqual(calls, [], 'no auth user is created');
+});
+
+test('a confirmation email that fails to send can be re-sent at once', async (t) => {
+  let failing = true;
+  const sent = [];
+  registerTransport('waitlist-test', async (message) => {
+    if (failing) throw new MailError('SMTP server replied 451 try later');
+    sent.push(message);
+  });
+  process.env.MAIL_TRANSPORT = 'waitlist-test';
+  t.after(() => { delete process.env.MAIL_TRANSPORT; });
+  const { rows } = installWaitlist([]);
+  const signup = () => mockRequest({ token: null, method: 'POST', body: { fullName: 'New Analyst', email: 'New@Example.com' } });
+
+  let response = mockResponse();
+  await signupHandler(signup(), response);
+  assert.equal(response.statusCode, 502);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].confirm_sent_at, undefined);
+  assert.equal(rows[0].confirm_token_hash, undefined);
+
+  failing = false;
+  response = mockResponse();
+  await signupHandler(signup(), response);
+  assert.equal(response.statusCode, 200);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'new@example.com');
+  assert.ok(rows[0].confirm_sent_at);
+  assert.ok(rows[0].confirm_token_hash);
+});
+
+test('the public signup route does not echo internal errors', async () => {
+  installFetch();
+  globalThis.fetch = async () => new Response('relation "waiting_list" does not exist', { status: 500 });
+
+  const response = mockResponse();
+  await signupHandler(mockRequest({ token: null, method: 'POST', body: { fullName: 'New Analyst', email: 'new@example.com' } }), response);
+  assert.equal(response.statusCode, 500);
+  assert.doesNotMatch(response.body.error, /waiting_list|Supabase/);
+});
@@ -0,0 +1,39 @@
+// OllyEngine.Watchlists CSV export and import.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadEngine } from './helpers/engine.js';
+
+test('exported cells that look like formulas are neutralised', () => {
+  const { Watchlists } = loadEngine();
+  const csv = Watchlists.toCsv({
+    items: [
+      { kind: 'company', ticker: 'AAPL', cik: '320193', name: 'Apple Inc.' },
+      { kind: 'company', ticker: '', cik: '1', name: '=HYPERLINK("http://evil.example","x")' },
+      { kind: 'individual', ticker: '', cik: '2', name: '+1+cmd|calc' },
+      { kind: 'individual', ticker: '', cik: '3', name: '-2' },
+      { kind: 'individual', ticker: '', cik: '4', name: '@SUM(A1)' }
+    ]
+  });
+
+  assert.deepEqual(csv.split('\r\n'), [
+    'kind,ticker,cik,name',
+    'company,AAPL,320193,Apple Inc.',
+    'company,,1,"\'=HYPERLINK(""http://evil.example"",""x"")"',
+    "individual,,2,'+1+cmd|calc",
+    "individual,,3,'-2",
+    "individual,,4,'@SUM(A1)",
+    ''
+  ]);
+});
+
+test('neutralised cells read back as they were exported', () => {
+  const { Watchlists } = loadEngine();
+  const items = [{ kind: 'individual', ticker: '', cik: '4', name: '@SUM(A1)' }];
+  const rows = Watchlists.readCsvRows(Watchlists.toCsv({ items }));
+
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].name, '@SUM(A1)');
+  assert.equal(rows[0].cik, '4');
+});